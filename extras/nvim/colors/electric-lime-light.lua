@@ -0,0 +1,148 @@
+-- Electric Lime Light
+-- Generated by vscode-theme-generator from the VS Code theme; do not edit.
+
+vim.cmd('highlight clear')
+if vim.fn.exists('syntax_on') == 1 then vim.cmd('syntax reset') end
+vim.o.background = 'light'
+vim.g.colors_name = 'electric-lime-light'
+
+local hl = function(group, spec) vim.api.nvim_set_hl(0, group, spec) end
+hl('Normal', { fg = '#1f2328', bg = '#fafafa' })
+hl('NormalNC', { link = 'Normal' })
+hl('NormalFloat', { fg = '#1f2328', bg = '#e9f1e9' })
+hl('FloatBorder', { fg = '#e1e1e1', bg = '#e9f1e9' })
+hl('Cursor', { fg = '#fafafa', bg = '#32cd32' })
+hl('CursorLine', { bg = '#f0f0f0' })
+hl('CursorColumn', { link = 'CursorLine' })
+hl('ColorColumn', { bg = '#dddfe1' })
+hl('LineNr', { fg = '#6a737d', bg = '#fafafa' })
+hl('CursorLineNr', { fg = '#1f2328', bg = '#f0f0f0', bold = true })
+hl('SignColumn', { bg = '#fafafa' })
+hl('Folded', { fg = '#6a737d', bg = '#eaf6ea' })
+hl('FoldColumn', { link = 'SignColumn' })
+hl('Visual', { bg = '#d3f2d3' })
+hl('VisualNOS', { bg = '#eaf4ea' })
+hl('Search', { bg = '#cef0ce' })
+hl('IncSearch', { bg = '#a0e6a0' })
+hl('CurSearch', { link = 'IncSearch' })
+hl('MatchParen', { bg = '#dcf3dc', bold = true })
+hl('NonText', { fg = '#cfd1d4' })
+hl('Whitespace', { link = 'NonText' })
+hl('SpecialKey', { link = 'NonText' })
+hl('EndOfBuffer', { fg = '#fafafa' })
+hl('WinSeparator', { fg = '#e1e1e1' })
+hl('VertSplit', { link = 'WinSeparator' })
+hl('Directory', { fg = '#1e7b1e' })
+hl('Title', { fg = '#1e7b1e', bold = true })
+hl('ErrorMsg', { fg = '#9a2929' })
+hl('WarningMsg', { fg = '#695700' })
+hl('MoreMsg', { fg = '#006569' })
+hl('Question', { link = 'MoreMsg' })
+hl('StatusLine', { fg = '#f2f2f2', bg = '#247f24' })
+hl('StatusLineNC', { fg = '#636b75', bg = '#ebebeb' })
+hl('WinBar', { fg = '#1f2328', bg = '#fafafa', bold = true })
+hl('TabLine', { fg = '#636b75', bg = '#ebebeb' })
+hl('TabLineSel', { fg = '#1f2328', bg = '#fafafa', bold = true })
+hl('TabLineFill', { bg = '#ebebeb' })
+hl('Pmenu', { fg = '#1f2328', bg = '#eff5ef' })
+hl('PmenuSel', { fg = '#1f2328', bg = '#cef0ce', bold = true })
+hl('PmenuSbar', { bg = '#eff5ef' })
+hl('PmenuThumb', { bg = '#b3b8b3' })
+hl('PmenuMatch', { fg = '#1e7b1e', bold = true })
+hl('WildMenu', { link = 'PmenuSel' })
+hl('DiffAdd', { bg = '#e1ebe2' })
+hl('DiffDelete', { bg = '#f0e5e5' })
+hl('DiffChange', { bg = '#eaf4ea' })
+hl('DiffText', { bg = '#caddca' })
+hl('Added', { fg = '#096b0c' })
+hl('Changed', { fg = '#695700' })
+hl('Removed', { fg = '#9a2929' })
+hl('DiagnosticError', { fg = '#9a2929' })
+hl('DiagnosticWarn', { fg = '#695700' })
+hl('DiagnosticInfo', { fg = '#006569' })
+hl('DiagnosticHint', { fg = '#519653' })
+hl('DiagnosticUnderlineError', { sp = '#9a2929', undercurl = true })
+hl('DiagnosticUnderlineWarn', { sp = '#695700', undercurl = true })
+hl('DiagnosticUnderlineInfo', { sp = '#006569', undercurl = true })
+hl('DiagnosticUnderlineHint', { sp = '#519653', undercurl = true })
+hl('SpellBad', { sp = '#9a2929', undercurl = true })
+hl('SpellCap', { sp = '#695700', undercurl = true })
+hl('Comment', { fg = '#6a737d', italic = true })
+hl('Keyword', { fg = '#1e7b1e' })
+hl('Statement', { link = 'Keyword' })
+hl('Conditional', { link = 'Keyword' })
+hl('Repeat', { link = 'Keyword' })
+hl('Exception', { link = 'Keyword' })
+hl('StorageClass', { link = 'Keyword' })
+hl('PreProc', { link = 'Keyword' })
+hl('Include', { link = 'Keyword' })
+hl('Function', { fg = '#805d00' })
+hl('String', { fg = '#365fb2' })
+hl('Character', { link = 'String' })
+hl('Number', { fg = '#007179' })
+hl('Float', { link = 'Number' })
+hl('Boolean', { link = 'Number' })
+hl('Constant', { link = 'Number' })
+hl('Type', { fg = '#9c3a6a' })
+hl('Structure', { link = 'Type' })
+hl('Typedef', { link = 'Type' })
+hl('Identifier', { fg = '#2b2f2b' })
+hl('Delimiter', { fg = '#576156' })
+hl('Operator', { link = 'Delimiter' })
+hl('Special', { link = 'Delimiter' })
+hl('SpecialChar', { link = 'String' })
+hl('Todo', { fg = '#006569', bold = true })
+hl('Error', { fg = '#9a2929' })
+hl('Underlined', { underline = true })
+hl('@comment', { link = 'Comment' })
+hl('@keyword', { link = 'Keyword' })
+hl('@keyword.function', { link = 'Keyword' })
+hl('@keyword.return', { link = 'Keyword' })
+hl('@keyword.operator', { link = 'Keyword' })
+hl('@function', { link = 'Function' })
+hl('@function.call', { link = 'Function' })
+hl('@function.builtin', { link = 'Function' })
+hl('@function.method', { link = 'Function' })
+hl('@function.method.call', { link = 'Function' })
+hl('@constructor', { link = 'Type' })
+hl('@string', { link = 'String' })
+hl('@string.escape', { link = 'SpecialChar' })
+hl('@string.regexp', { link = 'String' })
+hl('@character', { link = 'String' })
+hl('@number', { link = 'Number' })
+hl('@number.float', { link = 'Number' })
+hl('@boolean', { link = 'Number' })
+hl('@constant', { link = 'Constant' })
+hl('@constant.builtin', { link = 'Constant' })
+hl('@type', { link = 'Type' })
+hl('@type.builtin', { link = 'Type' })
+hl('@type.definition', { link = 'Type' })
+hl('@module', { link = 'Type' })
+hl('@variable', { link = 'Identifier' })
+hl('@variable.parameter', { link = 'Identifier' })
+hl('@variable.member', { link = 'Identifier' })
+hl('@property', { link = 'Identifier' })
+hl('@attribute', { link = 'Function' })
+hl('@tag', { link = 'Keyword' })
+hl('@tag.attribute', { link = 'Identifier' })
+hl('@punctuation', { link = 'Delimiter' })
+hl('@punctuation.bracket', { link = 'Delimiter' })
+hl('@punctuation.delimiter', { link = 'Delimiter' })
+hl('@operator', { link = 'Operator' })
+
+vim.g.terminal_color_0 = '#283127'
+vim.g.terminal_color_1 = '#9a2929'
+vim.g.terminal_color_2 = '#096b0c'
+vim.g.terminal_color_3 = '#695700'
+vim.g.terminal_color_4 = '#0256a9'
+vim.g.terminal_color_5 = '#7b358b'
+vim.g.terminal_color_6 = '#006569'
+vim.g.terminal_color_7 = '#babfba'
+vim.g.terminal_color_8 = '#3c453c'
+vim.g.terminal_color_9 = '#b64340'
+vim.g.terminal_color_10 = '#2d832b'
+vim.g.terminal_color_11 = '#836d00'
+vim.g.terminal_color_12 = '#266ec3'
+vim.g.terminal_color_13 = '#944da4'
+vim.g.terminal_color_14 = '#007e84'
+vim.g.terminal_color_15 = '#d4d9d3'
@@ -0,0 +1,148 @@
+-- Electric Lime
+-- Generated by vscode-theme-generator from the VS Code theme; do not edit.
+
+vim.cmd('highlight clear')
+if vim.fn.exists('syntax_on') == 1 then vim.cmd('syntax reset') end
+vim.o.background = 'dark'
+vim.g.colors_name = 'electric-lime'
+
+local hl = function(group, spec) vim.api.nvim_set_hl(0, group, spec) end
+hl('Normal', { fg = '#e6e6e6', bg = '#0f1115' })
+hl('NormalNC', { link = 'Normal' })
+hl('NormalFloat', { fg = '#e6e6e6', bg = '#272b27' })
+hl('FloatBorder', { fg = '#000000', bg = '#272b27' })
+hl('Cursor', { fg = '#0f1115', bg = '#32cd32' })
+hl('CursorLine', { bg = '#0b0d10' })
+hl('CursorColumn', { link = 'CursorLine' })
+hl('ColorColumn', { bg = '#2b2e33' })
+hl('LineNr', { fg = '#737f8d', bg = '#0f1115' })
+hl('CursorLineNr', { fg = '#e6e6e6', bg = '#0b0d10', bold = true })
+hl('SignColumn', { bg = '#0f1115' })
+hl('Folded', { fg = '#9aa3ad', bg = '#122017' })
+hl('FoldColumn', { link = 'SignColumn' })
+hl('Visual', { bg = '#456548' })
+hl('VisualNOS', { bg = '#3b493f' })
+hl('Search', { bg = '#173a1b' })
+hl('IncSearch', { bg = '#1f6622' })
+hl('CurSearch', { link = 'IncSearch' })
+hl('MatchParen', { bg = '#142d19', bold = true })
+hl('NonText', { fg = '#393d43' })
+hl('Whitespace', { link = 'NonText' })
+hl('SpecialKey', { link = 'NonText' })
+hl('EndOfBuffer', { fg = '#0f1115' })
+hl('WinSeparator', { fg = '#000000' })
+hl('VertSplit', { link = 'WinSeparator' })
+hl('Directory', { fg = '#32cd32' })
+hl('Title', { fg = '#32cd32', bold = true })
+hl('ErrorMsg', { fg = '#f47b74' })
+hl('WarningMsg', { fg = '#c2a200' })
+hl('MoreMsg', { fg = '#00bbc3' })
+hl('Question', { link = 'MoreMsg' })
+hl('StatusLine', { fg = '#f2f2f2', bg = '#247f24' })
+hl('StatusLineNC', { fg = '#9aa3ad', bg = '#020303' })
+hl('WinBar', { fg = '#e6e6e6', bg = '#0f1115', bold = true })
+hl('TabLine', { fg = '#9aa3ad', bg = '#020303' })
+hl('TabLineSel', { fg = '#e6e6e6', bg = '#0f1115', bold = true })
+hl('TabLineFill', { bg = '#020303' })
+hl('Pmenu', { fg = '#e6e6e6', bg = '#222622' })
+hl('PmenuSel', { fg = '#e6e6e6', bg = '#266126', bold = true })
+hl('PmenuSbar', { bg = '#222622' })
+hl('PmenuThumb', { bg = '#595c59' })
+hl('PmenuMatch', { fg = '#32cd32', bold = true })
+hl('WildMenu', { link = 'PmenuSel' })
+hl('DiffAdd', { bg = '#18221d' })
+hl('DiffDelete', { bg = '#261c1f' })
+hl('DiffChange', { bg = '#3b493f' })
+hl('DiffText', { bg = '#213324' })
+hl('Added', { fg = '#67bc62' })
+hl('Changed', { fg = '#c2a200' })
+hl('Removed', { fg = '#f47b74' })
+hl('DiagnosticError', { fg = '#f47b74' })
+hl('DiagnosticWarn', { fg = '#c2a200' })
+hl('DiagnosticInfo', { fg = '#00bbc3' })
+hl('DiagnosticHint', { fg = '#4d894b' })
+hl('DiagnosticUnderlineError', { sp = '#f47b74', undercurl = true })
+hl('DiagnosticUnderlineWarn', { sp = '#c2a200', undercurl = true })
+hl('DiagnosticUnderlineInfo', { sp = '#00bbc3', undercurl = true })
+hl('DiagnosticUnderlineHint', { sp = '#4d894b', undercurl = true })
+hl('SpellBad', { sp = '#f47b74', undercurl = true })
+hl('SpellCap', { sp = '#c2a200', undercurl = true })
+hl('Comment', { fg = '#9aa3ad', italic = true })
+hl('Keyword', { fg = '#32cd32' })
+hl('Statement', { link = 'Keyword' })
+hl('Conditional', { link = 'Keyword' })
+hl('Repeat', { link = 'Keyword' })
+hl('Exception', { link = 'Keyword' })
+hl('StorageClass', { link = 'Keyword' })
+hl('PreProc', { link = 'Keyword' })
+hl('Include', { link = 'Keyword' })
+hl('Function', { fg = '#e7be6d' })
+hl('String', { fg = '#a5c4ff' })
+hl('Character', { link = 'String' })
+hl('Number', { fg = '#5dd9e3' })
+hl('Float', { link = 'Number' })
+hl('Boolean', { link = 'Number' })
+hl('Constant', { link = 'Number' })
+hl('Type', { fg = '#fca6ca' })
+hl('Structure', { link = 'Type' })
+hl('Typedef', { link = 'Type' })
+hl('Identifier', { fg = '#dee3dd' })
+hl('Delimiter', { fg = '#aab5a9' })
+hl('Operator', { link = 'Delimiter' })
+hl('Special', { link = 'Delimiter' })
+hl('SpecialChar', { link = 'String' })
+hl('Todo', { fg = '#00bbc3', bold = true })
+hl('Error', { fg = '#f47b74' })
+hl('Underlined', { underline = true })
+hl('@comment', { link = 'Comment' })
+hl('@keyword', { link = 'Keyword' })
+hl('@keyword.function', { link = 'Keyword' })
+hl('@keyword.return', { link = 'Keyword' })
+hl('@keyword.operator', { link = 'Keyword' })
+hl('@function', { link = 'Function' })
+hl('@function.call', { link = 'Function' })
+hl('@function.builtin', { link = 'Function' })
+hl('@function.method', { link = 'Function' })
+hl('@function.method.call', { link = 'Function' })
+hl('@constructor', { link = 'Type' })
+hl('@string', { link = 'String' })
+hl('@string.escape', { link = 'SpecialChar' })
+hl('@string.regexp', { link = 'String' })
+hl('@character', { link = 'String' })
+hl('@number', { link = 'Number' })
+hl('@number.float', { link = 'Number' })
+hl('@boolean', { link = 'Number' })
+hl('@constant', { link = 'Constant' })
+hl('@constant.builtin', { link = 'Constant' })
+hl('@type', { link = 'Type' })
+hl('@type.builtin', { link = 'Type' })
+hl('@type.definition', { link = 'Type' })
+hl('@module', { link = 'Type' })
+hl('@variable', { link = 'Identifier' })
+hl('@variable.parameter', { link = 'Identifier' })
+hl('@variable.member', { link = 'Identifier' })
+hl('@property', { link = 'Identifier' })
+hl('@attribute', { link = 'Function' })
+hl('@tag', { link = 'Keyword' })
+hl('@tag.attribute', { link = 'Identifier' })
+hl('@punctuation', { link = 'Delimiter' })
+hl('@punctuation.bracket', { link = 'Delimiter' })
+hl('@punctuation.delimiter', { link = 'Delimiter' })
+hl('@operator', { link = 'Operator' })
+
+vim.g.terminal_color_0 = '#576156'
+vim.g.terminal_color_1 = '#f47b74'
+vim.g.terminal_color_2 = '#67bc62'
+vim.g.terminal_color_3 = '#c2a200'
+vim.g.terminal_color_4 = '#60a7ff'
+vim.g.terminal_color_5 = '#ce83de'
+vim.g.terminal_color_6 = '#00bbc3'
+vim.g.terminal_color_7 = '#c7ccc6'
+vim.g.terminal_color_8 = '#768175'
+vim.g.terminal_color_9 = '#ffaba3'
+vim.g.terminal_color_10 = '#87dd81'
+vim.g.terminal_color_11 = '#e3c23b'
+vim.g.terminal_color_12 = '#9cc7ff'
+vim.g.terminal_color_13 = '#eea4ff'
+vim.g.terminal_color_14 = '#00dfe8'
+vim.g.terminal_color_15 = '#e7ede7'
@@ -0,0 +1,137 @@
+" Electric Lime Light
+" Generated by vscode-theme-generator from the VS Code theme; do not edit.
+
+hi clear
+if exists('syntax_on')
+  syntax reset
+endif
+set background=light
+let g:colors_name = 'electric-lime-light'
+
+hi Normal guifg=#1f2328 guibg=#fafafa gui=NONE cterm=NONE
+hi! link NormalNC Normal
+hi NormalFloat guifg=#1f2328 guibg=#e9f1e9 gui=NONE cterm=NONE
+hi FloatBorder guifg=#e1e1e1 guibg=#e9f1e9 gui=NONE cterm=NONE
+hi Cursor guifg=#fafafa guibg=#32cd32 gui=NONE cterm=NONE
+hi CursorLine guifg=NONE guibg=#f0f0f0 gui=NONE cterm=NONE
+hi! link CursorColumn CursorLine
+hi ColorColumn guifg=NONE guibg=#dddfe1 gui=NONE cterm=NONE
+hi LineNr guifg=#6a737d guibg=#fafafa gui=NONE cterm=NONE
+hi CursorLineNr guifg=#1f2328 guibg=#f0f0f0 gui=bold cterm=bold
+hi SignColumn guifg=NONE guibg=#fafafa gui=NONE cterm=NONE
+hi Folded guifg=#6a737d guibg=#eaf6ea gui=NONE cterm=NONE
+hi! link FoldColumn SignColumn
+hi Visual guifg=NONE guibg=#d3f2d3 gui=NONE cterm=NONE
+hi VisualNOS guifg=NONE guibg=#eaf4ea gui=NONE cterm=NONE
+hi Search guifg=NONE guibg=#cef0ce gui=NONE cterm=NONE
+hi IncSearch guifg=NONE guibg=#a0e6a0 gui=NONE cterm=NONE
+hi! link CurSearch IncSearch
+hi MatchParen guifg=NONE guibg=#dcf3dc gui=bold cterm=bold
+hi NonText guifg=#cfd1d4 guibg=NONE gui=NONE cterm=NONE
+hi! link Whitespace NonText
+hi! link SpecialKey NonText
+hi EndOfBuffer guifg=#fafafa guibg=NONE gui=NONE cterm=NONE
+hi WinSeparator guifg=#e1e1e1 guibg=NONE gui=NONE cterm=NONE
+hi! link VertSplit WinSeparator
+hi Directory guifg=#1e7b1e guibg=NONE gui=NONE cterm=NONE
+hi Title guifg=#1e7b1e guibg=NONE gui=bold cterm=bold
+hi ErrorMsg guifg=#9a2929 guibg=NONE gui=NONE cterm=NONE
+hi WarningMsg guifg=#695700 guibg=NONE gui=NONE cterm=NONE
+hi MoreMsg guifg=#006569 guibg=NONE gui=NONE cterm=NONE
+hi! link Question MoreMsg
+hi StatusLine guifg=#f2f2f2 guibg=#247f24 gui=NONE cterm=NONE
+hi StatusLineNC guifg=#636b75 guibg=#ebebeb gui=NONE cterm=NONE
+hi WinBar guifg=#1f2328 guibg=#fafafa gui=bold cterm=bold
+hi TabLine guifg=#636b75 guibg=#ebebeb gui=NONE cterm=NONE
+hi TabLineSel guifg=#1f2328 guibg=#fafafa gui=bold cterm=bold
+hi TabLineFill guifg=NONE guibg=#ebebeb gui=NONE cterm=NONE
+hi Pmenu guifg=#1f2328 guibg=#eff5ef gui=NONE cterm=NONE
+hi PmenuSel guifg=#1f2328 guibg=#cef0ce gui=bold cterm=bold
+hi PmenuSbar guifg=NONE guibg=#eff5ef gui=NONE cterm=NONE
+hi PmenuThumb guifg=NONE guibg=#b3b8b3 gui=NONE cterm=NONE
+hi PmenuMatch guifg=#1e7b1e guibg=NONE gui=bold cterm=bold
+hi! link WildMenu PmenuSel
+hi DiffAdd guifg=NONE guibg=#e1ebe2 gui=NONE cterm=NONE
+hi DiffDelete guifg=NONE guibg=#f0e5e5 gui=NONE cterm=NONE
+hi DiffChange guifg=NONE guibg=#eaf4ea gui=NONE cterm=NONE
+hi DiffText guifg=NONE guibg=#caddca gui=NONE cterm=NONE
+hi Added guifg=#096b0c guibg=NONE gui=NONE cterm=NONE
+hi Changed guifg=#695700 guibg=NONE gui=NONE cterm=NONE
+hi Removed guifg=#9a2929 guibg=NONE gui=NONE cterm=NONE
+hi DiagnosticError guifg=#9a2929 guibg=NONE gui=NONE cterm=NONE
+hi DiagnosticWarn guifg=#695700 guibg=NONE gui=NONE cterm=NONE
+hi DiagnosticInfo guifg=#006569 guibg=NONE gui=NONE cterm=NONE
+hi DiagnosticHint guifg=#519653 guibg=NONE gui=NONE cterm=NONE
+hi DiagnosticUnderlineError guifg=NONE guibg=NONE guisp=#9a2929 gui=undercurl cterm=undercurl
+hi DiagnosticUnderlineWarn guifg=NONE guibg=NONE guisp=#695700 gui=undercurl cterm=undercurl
+hi DiagnosticUnderlineInfo guifg=NONE guibg=NONE guisp=#006569 gui=undercurl cterm=undercurl
+hi DiagnosticUnderlineHint guifg=NONE guibg=NONE guisp=#519653 gui=undercurl cterm=undercurl
+hi SpellBad guifg=NONE guibg=NONE guisp=#9a2929 gui=undercurl cterm=undercurl
+hi SpellCap guifg=NONE guibg=NONE guisp=#695700 gui=undercurl cterm=undercurl
+hi Comment guifg=#6a737d guibg=NONE gui=italic cterm=italic
+hi Keyword guifg=#1e7b1e guibg=NONE gui=NONE cterm=NONE
+hi! link Statement Keyword
+hi! link Conditional Keyword
+hi! link Repeat Keyword
+hi! link Exception Keyword
+hi! link StorageClass Keyword
+hi! link PreProc Keyword
+hi! link Include Keyword
+hi Function guifg=#805d00 guibg=NONE gui=NONE cterm=NONE
+hi String guifg=#365fb2 guibg=NONE gui=NONE cterm=NONE
+hi! link Character String
+hi Number guifg=#007179 guibg=NONE gui=NONE cterm=NONE
+hi! link Float Number
+hi! link Boolean Number
+hi! link Constant Number
+hi Type guifg=#9c3a6a guibg=NONE gui=NONE cterm=NONE
+hi! link Structure Type
+hi! link Typedef Type
+hi Identifier guifg=#2b2f2b guibg=NONE gui=NONE cterm=NONE
+hi Delimiter guifg=#576156 guibg=NONE gui=NONE cterm=NONE
+hi! link Operator Delimiter
+hi! link Special Delimiter
+hi! link SpecialChar String
+hi Todo guifg=#006569 guibg=NONE gui=bold cterm=bold
+hi Error guifg=#9a2929 guibg=NONE gui=NONE cterm=NONE
+hi Underlined guifg=NONE guibg=NONE gui=underline cterm=underline
+
+if has('nvim')
+  hi! link @comment Comment
+  hi! link @keyword Keyword
+  hi! link @keyword.function Keyword
+  hi! link @keyword.return Keyword
+  hi! link @keyword.operator Keyword
+  hi! link @function Function
+  hi! link @function.call Function
+  hi! link @function.builtin Function
+  hi! link @function.method Function
+  hi! link @function.method.call Function
+  hi! link @constructor Type
+  hi! link @string String
+  hi! link @string.escape SpecialChar
+  hi! link @string.regexp String
+  hi! link @character String
+  hi! link @number Number
+  hi! link @number.float Number
+  hi! link @boolean Number
+  hi! link @constant Constant
+  hi! link @constant.builtin Constant
+  hi! link @type Type
+  hi! link @type.builtin Type
+  hi! link @type.definition Type
+  hi! link @module Type
+  hi! link @variable Identifier
+  hi! link @variable.parameter Identifier
+  hi! link @variable.member Identifier
+  hi! link @property Identifier
+  hi! link @attribute Function
+  hi! link @tag Keyword
+  hi! link @tag.attribute Identifier
+  hi! link @punctuation Delimiter
+  hi! link @punctuation.bracket Delimiter
+  hi! link @punctuation.delimiter Delimiter
+  hi! link @operator Operator
+endif
+
+let g:terminal_ansi_colors = ['#283127', '#9a2929', '#096b0c', '#695700', '#0256a9', '#7b358b', '#006569', '#babfba', '#3c453c', '#b64340', '#2d832b', '#836d00', '#266ec3', '#944da4', '#007e84', '#d4d9d3']
@@ -0,0 +1,137 @@
+" Electric Lime
+" Generated by vscode-theme-generator from the VS Code theme; do not edit.
+
+hi clear
+if exists('syntax_on')
+  syntax reset
+endif
+set background=dark
+let g:colors_name = 'electric-lime'
+
+hi Normal guifg=#e6e6e6 guibg=#0f1115 gui=NONE cterm=NONE
+hi! link NormalNC Normal
+hi NormalFloat guifg=#e6e6e6 guibg=#272b27 gui=NONE cterm=NONE
+hi FloatBorder guifg=#000000 guibg=#272b27 gui=NONE cterm=NONE
+hi Cursor guifg=#0f1115 guibg=#32cd32 gui=NONE cterm=NONE
+hi CursorLine guifg=NONE guibg=#0b0d10 gui=NONE cterm=NONE
+hi! link CursorColumn CursorLine
+hi ColorColumn guifg=NONE guibg=#2b2e33 gui=NONE cterm=NONE
+hi LineNr guifg=#737f8d guibg=#0f1115 gui=NONE cterm=NONE
+hi CursorLineNr guifg=#e6e6e6 guibg=#0b0d10 gui=bold cterm=bold
+hi SignColumn guifg=NONE guibg=#0f1115 gui=NONE cterm=NONE
+hi Folded guifg=#9aa3ad guibg=#122017 gui=NONE cterm=NONE
+hi! link FoldColumn SignColumn
+hi Visual guifg=NONE guibg=#456548 gui=NONE cterm=NONE
+hi VisualNOS guifg=NONE guibg=#3b493f gui=NONE cterm=NONE
+hi Search guifg=NONE guibg=#173a1b gui=NONE cterm=NONE
+hi IncSearch guifg=NONE guibg=#1f6622 gui=NONE cterm=NONE
+hi! link CurSearch IncSearch
+hi MatchParen guifg=NONE guibg=#142d19 gui=bold cterm=bold
+hi NonText guifg=#393d43 guibg=NONE gui=NONE cterm=NONE
+hi! link Whitespace NonText
+hi! link SpecialKey NonText
+hi EndOfBuffer guifg=#0f1115 guibg=NONE gui=NONE cterm=NONE
+hi WinSeparator guifg=#000000 guibg=NONE gui=NONE cterm=NONE
+hi! link VertSplit WinSeparator
+hi Directory guifg=#32cd32 guibg=NONE gui=NONE cterm=NONE
+hi Title guifg=#32cd32 guibg=NONE gui=bold cterm=bold
+hi ErrorMsg guifg=#f47b74 guibg=NONE gui=NONE cterm=NONE
+hi WarningMsg guifg=#c2a200 guibg=NONE gui=NONE cterm=NONE
+hi MoreMsg guifg=#00bbc3 guibg=NONE gui=NONE cterm=NONE
+hi! link Question MoreMsg
+hi StatusLine guifg=#f2f2f2 guibg=#247f24 gui=NONE cterm=NONE
+hi StatusLineNC guifg=#9aa3ad guibg=#020303 gui=NONE cterm=NONE
+hi WinBar guifg=#e6e6e6 guibg=#0f1115 gui=bold cterm=bold
+hi TabLine guifg=#9aa3ad guibg=#020303 gui=NONE cterm=NONE
+hi TabLineSel guifg=#e6e6e6 guibg=#0f1115 gui=bold cterm=bold
+hi TabLineFill guifg=NONE guibg=#020303 gui=NONE cterm=NONE
+hi Pmenu guifg=#e6e6e6 guibg=#222622 gui=NONE cterm=NONE
+hi PmenuSel guifg=#e6e6e6 guibg=#266126 gui=bold cterm=bold
+hi PmenuSbar guifg=NONE guibg=#222622 gui=NONE cterm=NONE
+hi PmenuThumb guifg=NONE guibg=#595c59 gui=NONE cterm=NONE
+hi PmenuMatch guifg=#32cd32 guibg=NONE gui=bold cterm=bold
+hi! link WildMenu PmenuSel
+hi DiffAdd guifg=NONE guibg=#18221d gui=NONE cterm=NONE
+hi DiffDelete guifg=NONE guibg=#261c1f gui=NONE cterm=NONE
+hi DiffChange guifg=NONE guibg=#3b493f gui=NONE cterm=NONE
+hi DiffText guifg=NONE guibg=#213324 gui=NONE cterm=NONE
+hi Added guifg=#67bc62 guibg=NONE gui=NONE cterm=NONE
+hi Changed guifg=#c2a200 guibg=NONE gui=NONE cterm=NONE
+hi Removed guifg=#f47b74 guibg=NONE gui=NONE cterm=NONE
+hi DiagnosticError guifg=#f47b74 guibg=NONE gui=NONE cterm=NONE
+hi DiagnosticWarn guifg=#c2a200 guibg=NONE gui=NONE cterm=NONE
+hi DiagnosticInfo guifg=#00bbc3 guibg=NONE gui=NONE cterm=NONE
+hi DiagnosticHint guifg=#4d894b guibg=NONE gui=NONE cterm=NONE
+hi DiagnosticUnderlineError guifg=NONE guibg=NONE guisp=#f47b74 gui=undercurl cterm=undercurl
+hi DiagnosticUnderlineWarn guifg=NONE guibg=NONE guisp=#c2a200 gui=undercurl cterm=undercurl
+hi DiagnosticUnderlineInfo guifg=NONE guibg=NONE guisp=#00bbc3 gui=undercurl cterm=undercurl
+hi DiagnosticUnderlineHint guifg=NONE guibg=NONE guisp=#4d894b gui=undercurl cterm=undercurl
+hi SpellBad guifg=NONE guibg=NONE guisp=#f47b74 gui=undercurl cterm=undercurl
+hi SpellCap guifg=NONE guibg=NONE guisp=#c2a200 gui=undercurl cterm=undercurl
+hi Comment guifg=#9aa3ad guibg=NONE gui=italic cterm=italic
+hi Keyword guifg=#32cd32 guibg=NONE gui=NONE cterm=NONE
+hi! link Statement Keyword
+hi! link Conditional Keyword
+hi! link Repeat Keyword
+hi! link Exception Keyword
+hi! link StorageClass Keyword
+hi! link PreProc Keyword
+hi! link Include Keyword
+hi Function guifg=#e7be6d guibg=NONE gui=NONE cterm=NONE
+hi String guifg=#a5c4ff guibg=NONE gui=NONE cterm=NONE
+hi! link Character String
+hi Number guifg=#5dd9e3 guibg=NONE gui=NONE cterm=NONE
+hi! link Float Number
+hi! link Boolean Number
+hi! link Constant Number
+hi Type guifg=#fca6ca guibg=NONE gui=NONE cterm=NONE
+hi! link Structure Type
+hi! link Typedef Type
+hi Identifier guifg=#dee3dd guibg=NONE gui=NONE cterm=NONE
+hi Delimiter guifg=#aab5a9 guibg=NONE gui=NONE cterm=NONE
+hi! link Operator Delimiter
+hi! link Special Delimiter
+hi! link SpecialChar String
+hi Todo guifg=#00bbc3 guibg=NONE gui=bold cterm=bold
+hi Error guifg=#f47b74 guibg=NONE gui=NONE cterm=NONE
+hi Underlined guifg=NONE guibg=NONE gui=underline cterm=underline
+
+if has('nvim')
+  hi! link @comment Comment
+  hi! link @keyword Keyword
+  hi! link @keyword.function Keyword
+  hi! link @keyword.return Keyword
+  hi! link @keyword.operator Keyword
+  hi! link @function Function
+  hi! link @function.call Function
+  hi! link @function.builtin Function
+  hi! link @function.method Function
+  hi! link @function.method.call Function
+  hi! link @constructor Type
+  hi! link @string String
+  hi! link @string.escape SpecialChar
+  hi! link @string.regexp String
+  hi! link @character String
+  hi! link @number Number
+  hi! link @number.float Number
+  hi! link @boolean Number
+  hi! link @constant Constant
+  hi! link @constant.builtin Constant
+  hi! link @type Type
+  hi! link @type.builtin Type
+  hi! link @type.definition Type
+  hi! link @module Type
+  hi! link @variable Identifier
+  hi! link @variable.parameter Identifier
+  hi! link @variable.member Identifier
+  hi! link @property Identifier
+  hi! link @attribute Function
+  hi! link @tag Keyword
+  hi! link @tag.attribute Identifier
+  hi! link @punctuation Delimiter
+  hi! link @punctuation.bracket Delimiter
+  hi! link @punctuation.delimiter Delimiter
+  hi! link @operator Operator
+endif
+
+let g:terminal_ansi_colors = ['#576156', '#f47b74', '#67bc62', '#c2a200', '#60a7ff', '#ce83de', '#00bbc3', '#c7ccc6', '#768175', '#ffaba3', '#87dd81', '#e3c23b', '#9cc7ff', '#eea4ff', '#00dfe8', '#e7ede7']
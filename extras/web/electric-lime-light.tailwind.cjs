@@ -0,0 +1,24 @@
+// Electric Lime Light: generated by vscode-theme-generator from the theme's palette roles; do not edit.
+module.exports = {
+  "theme": {
+    "accent": "#32cd32",
+    "accent-dim": "#2d9f2d",
+    "accent-dark": "#247f24",
+    "accent-light": "#93d293",
+    "bg0": "#fafafa",
+    "bg1": "#eff5ef",
+    "bg2": "#deedde",
+    "fg0": "#1f2328",
+    "muted": "#6a737d",
+    "syntax": {
+      "comment": "#6a737d",
+      "keyword": "#1e7b1e",
+      "function": "#805d00",
+      "variable": "#2b2f2b",
+      "string": "#365fb2",
+      "number": "#007179",
+      "type": "#9c3a6a",
+      "punctuation": "#576156"
+    }
+  }
+};
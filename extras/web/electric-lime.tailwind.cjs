@@ -0,0 +1,24 @@
+// Electric Lime: generated by vscode-theme-generator from the theme's palette roles; do not edit.
+module.exports = {
+  "theme": {
+    "accent": "#32cd32",
+    "accent-dim": "#2d9f2d",
+    "accent-dark": "#247f24",
+    "accent-light": "#93d293",
+    "bg0": "#0f1115",
+    "bg1": "#222622",
+    "bg2": "#333333",
+    "fg0": "#e6e6e6",
+    "muted": "#9aa3ad",
+    "syntax": {
+      "comment": "#9aa3ad",
+      "keyword": "#32cd32",
+      "function": "#e7be6d",
+      "variable": "#dee3dd",
+      "string": "#a5c4ff",
+      "number": "#5dd9e3",
+      "type": "#fca6ca",
+      "punctuation": "#aab5a9"
+    }
+  }
+};
@@ -0,0 +1,14 @@
+-- Electric Lime Light
+-- Generated by vscode-theme-generator from the VS Code theme; do not edit.
+
+return {
+  foreground = '#1f2328',
+  background = '#fafafa',
+  cursor_bg = '#28a428',
+  cursor_fg = '#fafafa',
+  cursor_border = '#28a428',
+  selection_fg = '#1f2328',
+  selection_bg = '#d3f2d3',
+  ansi = { '#283127', '#9a2929', '#096b0c', '#695700', '#0256a9', '#7b358b', '#006569', '#babfba' },
+  brights = { '#3c453c', '#b64340', '#2d832b', '#836d00', '#266ec3', '#944da4', '#007e84', '#d4d9d3' },
+}
@@ -0,0 +1,14 @@
+-- Electric Lime
+-- Generated by vscode-theme-generator from the VS Code theme; do not edit.
+
+return {
+  foreground = '#e6e6e6',
+  background = '#0f1115',
+  cursor_bg = '#32cd32',
+  cursor_fg = '#0f1115',
+  cursor_border = '#32cd32',
+  selection_fg = '#e6e6e6',
+  selection_bg = '#456548',
+  ansi = { '#576156', '#f47b74', '#67bc62', '#c2a200', '#60a7ff', '#ce83de', '#00bbc3', '#c7ccc6' },
+  brights = { '#768175', '#ffaba3', '#87dd81', '#e3c23b', '#9cc7ff', '#eea4ff', '#00dfe8', '#e7ede7' },
+}
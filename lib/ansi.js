@@ -0,0 +1,54 @@
+import { hexToOklch, oklchToHex } from './oklch.js';
+import { hueDistance } from './syntax.js';
+
+// Derived 16-color ANSI palette. The six chromatic colors sit on canonical OKLCH
+// hues so red still reads as red; a hue within SNAP_GAP of the primary seed takes
+// the seed's hue instead (unless the seed is near-grey), so the accent shows up
+// as its own terminal color.
+// All six share one lightness and the seed's chroma (clamped), and every bright
+// variant is one `step` lighter than its normal color, neutrals included.
+// makeTheme then holds the READABLE_ANSI colors to the contrast target.
+
+export const ANSI_NAMES = ['black', 'red', 'green', 'yellow', 'blue', 'magenta', 'cyan', 'white'];
+export const ANSI_HUES = { red: 25, yellow: 95, green: 145, cyan: 200, blue: 255, magenta: 320 };
+export const SNAP_GAP = 25;
+
+const LEVELS = {
+  dark: { L: 0.72, black: 0.48, white: 0.84, step: 0.1 },
+  light: { L: 0.46, black: 0.3, white: 0.8, step: 0.08 },
+};
+const CHROMA = { min: 0.09, max: 0.15 };
+
+// Colors that carry text on terminal.background. Black on dark and white/brightWhite
+// on light are background-side neutrals that are meant to blend in.
+export const READABLE_ANSI = {
+  dark: [...ANSI_NAMES.slice(1), ...brightNames(ANSI_NAMES)],
+  light: [...ANSI_NAMES.slice(0, -1), ...brightNames(ANSI_NAMES.slice(0, -1))],
+};
+
+function brightNames(names) {
+  return names.map((n) => `bright${n[0].toUpperCase()}${n.slice(1)}`);
+}
+
+// Returns { black, red, ..., white, brightBlack, ..., brightWhite }
+export function deriveAnsi(primary, type = 'dark') {
+  const { L, black, white, step } = LEVELS[type];
+  const { h: base, C: seedC } = hexToOklch(primary);
+  const C = Math.min(CHROMA.max, Math.max(CHROMA.min, seedC));
+  const out = {};
+  const put = (name, l, c, h) => {
+    out[name] = oklchToHex({ L: l, C: c, h });
+    out[brightNames([name])[0]] = oklchToHex({ L: l + step, C: c, h });
+  };
+  // neutrals only borrow a tint from the seed
+  put('black', black, Math.min(0.02, seedC), base);
+  for (const [name, hue] of Object.entries(ANSI_HUES)) {
+    const snap = seedC >= CHROMA.min && hueDistance(hue, base) <= SNAP_GAP;
+    put(name, L, C, snap ? base : hue);
+  }
+  put('white', white, Math.min(0.01, seedC), base);
+  const ordered = {};
+  for (const name of ANSI_NAMES) ordered[name] = out[name];
+  for (const name of brightNames(ANSI_NAMES)) ordered[name] = out[name];
+  return ordered;
+}
@@ -0,0 +1,96 @@
+// Color helpers shared by the theme generators.
+// Hex strings are normalized to lowercase; 6-digit when opaque, 8-digit preserves alpha.
+
+export function normalizeHex(hex) {
+  if (!hex) return '#000000';
+  let h = hex.trim().toLowerCase();
+  if (!h.startsWith('#')) h = '#' + h;
+  if (/^#([0-9a-f]{3})$/.test(h)) {
+    // expand #abc => #aabbcc
+    const [, a, b, c] = h.match(/^#(.)(.)(.)$/);
+    h = `#${a}${a}${b}${b}${c}${c}`;
+  }
+  if (!/^#([0-9a-f]{6}|[0-9a-f]{8})$/.test(h)) return '#000000';
+  return h;
+}
+export function hexToRgb(hex) {
+  const h = normalizeHex(hex).slice(1);
+  const r = parseInt(h.slice(0, 2), 16);
+  const g = parseInt(h.slice(2, 4), 16);
+  const b = parseInt(h.slice(4, 6), 16);
+  const a = h.length === 8 ? parseInt(h.slice(6, 8), 16) / 255 : 1;
+  return { r, g, b, a };
+}
+export function rgbToHex(r, g, b, a = 1) {
+  const c = (n) => Math.max(0, Math.min(255, Math.round(n))).toString(16).padStart(2, '0');
+  const base = `#${c(r)}${c(g)}${c(b)}`;
+  if (a >= 1) return base;
+  const aa = c(a * 255);
+  return `${base}${aa}`;
+}
+export function rgbToHsl({ r, g, b }) {
+  r /= 255; g /= 255; b /= 255;
+  const max = Math.max(r, g, b), min = Math.min(r, g, b);
+  let h, s; const l = (max + min) / 2;
+  if (max === min) { h = s = 0; }
+  else {
+    const d = max - min;
+    s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+    switch (max) {
+      case r: h = (g - b) / d + (g < b ? 6 : 0); break;
+      case g: h = (b - r) / d + 2; break;
+      default: h = (r - g) / d + 4; break;
+    }
+    h /= 6;
+  }
+  return { h: h * 360, s, l };
+}
+export function hslToRgb({ h, s, l }) {
+  h /= 360;
+  let r, g, b;
+  if (s === 0) { r = g = b = l; }
+  else {
+    const hue2rgb = (p, q, t) => {
+      if (t < 0) t += 1;
+      if (t > 1) t -= 1;
+      if (t < 1/6) return p + (q - p) * 6 * t;
+      if (t < 1/2) return q;
+      if (t < 2/3) return p + (q - p) * (2/3 - t) * 6;
+      return p;
+    };
+    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+    const p = 2 * l - q;
+    r = hue2rgb(p, q, h + 1/3);
+    g = hue2rgb(p, q, h);
+    b = hue2rgb(p, q, h - 1/3);
+  }
+  return { r: Math.round(r * 255), g: Math.round(g * 255), b: Math.round(b * 255) };
+}
+export function shade(hex, dl = 0, ds = 0) {
+  const hsl = rgbToHsl(hexToRgb(hex));
+  const s = Math.max(0, Math.min(1, hsl.s + ds));
+  const l = Math.max(0, Math.min(1, hsl.l + dl));
+  return rgbToHex(...Object.values(hslToRgb({ h: hsl.h, s, l }))).toLowerCase();
+}
+// Keep the hue, pin lightness (and optionally cap saturation) to absolute values
+export function tone(hex, l, sMax = 1) {
+  const hsl = rgbToHsl(hexToRgb(hex));
+  const s = Math.min(hsl.s, sMax);
+  return rgbToHex(...Object.values(hslToRgb({ h: hsl.h, s, l: Math.max(0, Math.min(1, l)) })));
+}
+// Rotate the hue by `deg` degrees, keeping saturation and lightness
+export function spin(hex, deg) {
+  const hsl = rgbToHsl(hexToRgb(hex));
+  return rgbToHex(...Object.values(hslToRgb({ ...hsl, h: (hsl.h + deg + 360) % 360 })));
+}
+// Same color with alpha `a` (0..1); replaces any alpha already on the hex
+export function alpha(hex, a) {
+  const { r, g, b } = hexToRgb(hex);
+  return rgbToHex(r, g, b, Math.max(0, Math.min(1, a)));
+}
+// Opaque color seen when `hex` is drawn over the opaque `bg`, for formats without alpha
+export function flatten(hex, bg) {
+  const { r, g, b, a } = hexToRgb(hex);
+  const under = hexToRgb(bg);
+  return rgbToHex(r * a + under.r * (1 - a), g * a + under.g * (1 - a), b * a + under.b * (1 - a));
+}
@@ -0,0 +1,69 @@
+import { hexToRgb, rgbToHex, rgbToHsl, hslToRgb } from './color.js';
+
+// WCAG 2.x relative luminance and contrast ratio.
+// Targets are a level name (AA, AAA, AA-large, AAA-large) or a plain ratio like 5.5.
+
+export const LEVELS = { 'AA-large': 3, 'AA': 4.5, 'AAA-large': 4.5, 'AAA': 7 };
+export const NEUTRALS = ['#1a1a1a', '#f2f2f2'];
+
+export function targetRatio(level = 'AA') {
+  if (typeof level === 'number') return level;
+  if (LEVELS[level]) return LEVELS[level];
+  const n = Number(level);
+  if (!Number.isFinite(n) || n < 1 || n > 21) {
+    throw new Error(`Unknown contrast level: ${level}; expected ${Object.keys(LEVELS).join(', ')} or a ratio between 1 and 21`);
+  }
+  return n;
+}
+
+export function luminance(hex) {
+  const { r, g, b } = hexToRgb(hex);
+  const lin = (c) => {
+    c /= 255;
+    return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  };
+  return 0.2126 * lin(r) + 0.7152 * lin(g) + 0.0722 * lin(b);
+}
+export function contrastRatio(a, b) {
+  const la = luminance(a), lb = luminance(b);
+  return (Math.max(la, lb) + 0.05) / (Math.min(la, lb) + 0.05);
+}
+export function meetsContrast(fg, bg, level = 'AA') {
+  return contrastRatio(fg, bg) >= targetRatio(level);
+}
+
+// Move fg lightness away from bg until the pair reaches the target; keeps hue and saturation.
+// Falls back to black or white, whichever contrasts more, when lightness runs out.
+export function ensureContrast(fg, bg, level = 'AA') {
+  const min = targetRatio(level);
+  if (contrastRatio(fg, bg) >= min) return fg;
+  const hsl = rgbToHsl(hexToRgb(fg));
+  const step = luminance(bg) > 0.18 ? -0.01 : +0.01;
+  for (let l = hsl.l; l >= 0 && l <= 1; l += step) {
+    const c = rgbToHex(...Object.values(hslToRgb({ h: hsl.h, s: hsl.s, l })));
+    if (contrastRatio(c, bg) >= min) return c;
+  }
+  return contrastRatio('#000000', bg) >= contrastRatio('#ffffff', bg) ? '#000000' : '#ffffff';
+}
+
+// Text color for a background: the neutral that meets the target with the most headroom.
+// When neither neutral passes, nudge them toward black/white and take the first that does.
+export function readableText(bg, level = 'AA') {
+  const min = targetRatio(level);
+  const [best, other] = [...NEUTRALS].sort((a, b) => contrastRatio(b, bg) - contrastRatio(a, bg));
+  if (contrastRatio(best, bg) >= min) return best;
+  for (const n of [best, other]) {
+    const c = ensureContrast(n, bg, min);
+    if (contrastRatio(c, bg) >= min) return c;
+  }
+  return contrastRatio('#000000', bg) >= contrastRatio('#ffffff', bg) ? '#000000' : '#ffffff';
+}
+
+// Make a pair pass by moving fg first, then bg when no foreground can reach the target
+// (mid-tone backgrounds top out around 4.6:1 against both black and white).
+export function ensurePair(fg, bg, level = 'AA') {
+  const min = targetRatio(level);
+  fg = ensureContrast(fg, bg, min);
+  if (contrastRatio(fg, bg) >= min) return { fg, bg };
+  return { fg, bg: ensureContrast(bg, fg, min) };
+}
@@ -0,0 +1,31 @@
+// Programmatic entry point: theme generation, color helpers and the installer.
+// ESM here; cjs/index.cjs is the generated CommonJS build (npm run prepare).
+
+import { makeTheme } from './theme.js';
+
+export { normalizeHex, hexToRgb, rgbToHex, rgbToHsl, hslToRgb, shade, tone, spin, alpha, flatten } from './color.js';
+export { LEVELS, targetRatio, luminance, contrastRatio, meetsContrast, ensureContrast, readableText, ensurePair } from './contrast.js';
+export { hexToOklab, hexToOklch, oklchToHex, shadeOklch, toneOklch, spinOklch } from './oklch.js';
+export { THEME_TYPES, CONTRAST_PAIRS, SHADING, derivePalette, makeTheme, buildTheme, slugify, isLightTheme, tokenStyle } from './theme.js';
+export { SPEC_VERSION, loadSpec, parseSpec } from './spec.js';
+export { WORKBENCH_COLOR_KEYS, coverage } from './registry.js';
+export { BUILTIN_TARGETS, extensionTargets, installTheme, listInstalled, staleInstalled, removeInstalled } from './install.js';
+export { packageVsix } from './vsix.js';
+export { decodeImage, extractPalette, suggestAccent } from './palette.js';
+export { sublimeColorScheme, tmTheme } from './sublime.js';
+export { jetbrainsColorScheme, jetbrainsUiTheme } from './jetbrains.js';
+export { terminalColors, alacrittyTheme, kittyTheme, weztermTheme, windowsTerminalScheme, itermColors } from './terminal.js';
+export { neovimColorscheme, vimColorscheme } from './vim.js';
+export { WEB_ROLES, webRoles, cssProperties, scssMap, tailwindColors } from './web.js';
+export { previewHtml } from './preview.js';
+export { swatchCard } from './swatch.js';
+export { parseJsonc, loadTheme, dominantHue, reaccentTheme } from './reaccent.js';
+
+// generateTheme({ name, primary, secondary, tertiary, type, contrast, space, roles, overrides })
+// or a parsed spec ({ name, type, seeds, ... }); returns the theme JSON object
+export function generateTheme(options) {
+  const { name, seeds = {}, primary = seeds.primary, secondary = seeds.secondary, tertiary = seeds.tertiary } = options;
+  if (!name) throw new Error('generateTheme: "name" is required');
+  if (!primary) throw new Error('generateTheme: "primary" is required');
+  return makeTheme({ ...options, accent: primary, secondary, tertiary });
+}
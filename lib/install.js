@@ -0,0 +1,161 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { THEME_TYPES, slugify } from './theme.js';
+
+// Installed generated themes live in `local.<slug>-<yyyymmddhhmm>` folders inside
+// each editor's extensions dir; make-vscode-theme.js writes one per run.
+
+export const INSTALLED_FOLDER = /^local\.(.+)-(\d{12})$/;
+
+export function installStamp(date = new Date()) {
+  return date.toISOString().replace(/[-:TZ.]/g, '').slice(0, 12); // yyyymmddhhmm
+}
+
+// Files of a one-theme extension folder: [{ path, data }] relative to the folder
+export function extensionFiles({ name, slug, stamp, uiTheme, theme, readme }) {
+  const pkg = {
+    name: `local-${slug}`,
+    displayName: name,
+    publisher: 'local',
+    version: `0.0.${stamp}`,
+    engines: { vscode: '^1.60.0' },
+    categories: ['Themes'],
+    contributes: {
+      themes: [{ label: name, uiTheme, path: `./themes/${slug}.json` }],
+    },
+  };
+  return [
+    { path: 'package.json', data: JSON.stringify(pkg, null, 2) },
+    { path: `themes/${slug}.json`, data: JSON.stringify(theme, null, 2) },
+    { path: 'README.md', data: readme },
+  ];
+}
+
+export function writeExtension(folder, files) {
+  for (const { path: rel, data } of files) {
+    const file = path.join(folder, rel);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, data);
+  }
+}
+
+// Writes `theme` as `local.<slug>-<stamp>` into each target dir (default: extensionTargets()).
+// Returns { files, folders, failed }; with `dryRun` nothing is written and `folders` is the plan.
+export function installTheme(theme, { type = 'dark', targets, readme, stamp = installStamp(), dryRun = false } = {}) {
+  if (!THEME_TYPES[type]) throw new Error(`Unknown theme type: ${type}`);
+  const slug = slugify(theme.name);
+  const files = extensionFiles({
+    name: theme.name,
+    slug,
+    stamp,
+    uiTheme: THEME_TYPES[type].uiTheme,
+    theme,
+    readme: readme || `# ${theme.name}\nGenerated locally.\n`,
+  });
+  const folders = [];
+  const failed = [];
+  for (const target of targets || extensionTargets()) {
+    const folder = path.join(target, `local.${slug}-${stamp}`);
+    try {
+      if (!dryRun) writeExtension(folder, files);
+      folders.push(folder);
+    } catch (e) {
+      failed.push({ target, error: e });
+    }
+  }
+  return { files, folders, failed };
+}
+
+// Built-in install targets: name -> (home, env) => extensions dir, or null when it
+// can't be located. Home-relative ones only count when their editor root exists; portable
+// mode VS Code exports its data folder as VSCODE_PORTABLE, which a shell outside that
+// VS Code doesn't have: pass <portable>/data/extensions as a path target instead.
+export const BUILTIN_TARGETS = {
+  vscode: (home) => path.join(home, '.vscode', 'extensions'),
+  insiders: (home) => path.join(home, '.vscode-insiders', 'extensions'),
+  vscodium: (home) => path.join(home, '.vscode-oss', 'extensions'),
+  cursor: (home) => path.join(home, '.cursor', 'extensions'),
+  windsurf: (home) => path.join(home, '.windsurf', 'extensions'),
+  'code-server': (home) => path.join(home, '.local', 'share', 'code-server', 'extensions'),
+  'vscode-server': (home) => path.join(home, '.vscode-server', 'extensions'),
+  portable: (home, env) => (env.VSCODE_PORTABLE ? path.join(env.VSCODE_PORTABLE, 'extensions') : null),
+};
+
+export function configFile(home = os.homedir(), env = process.env) {
+  return path.join(env.XDG_CONFIG_HOME || path.join(home, '.config'), 'vscode-theme-generator', 'config.json');
+}
+
+// Target names or paths, first found of: `picked` (--target), THEME_TARGETS
+// (comma-separated), the config file's "targets" array; null means every built-in
+function targetSpecs(picked, home, env) {
+  if (picked && picked.length) return picked;
+  if (env.THEME_TARGETS) return env.THEME_TARGETS.split(',').map((t) => t.trim()).filter(Boolean);
+  const file = configFile(home, env);
+  if (!fs.existsSync(file)) return null;
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`${file}: ${e.message}`);
+  }
+  if (config.targets !== undefined && !Array.isArray(config.targets)) throw new Error(`${file}: "targets" must be an array of names or paths`);
+  return config.targets || null;
+}
+
+// Extension dirs to install into. Names resolve through BUILTIN_TARGETS; anything else
+// is a path used as given. With no targets configured, built-ins whose editor isn't
+// present are skipped; a configured one that isn't present is an error.
+export function extensionTargets({ picked, home = os.homedir(), env = process.env } = {}) {
+  const configured = targetSpecs(picked, home, env);
+  const dirs = [];
+  const missing = [];
+  for (const spec of configured || Object.keys(BUILTIN_TARGETS)) {
+    if (!Object.hasOwn(BUILTIN_TARGETS, spec)) {
+      if (!/[\\/.~]/.test(spec)) throw new Error(`Unknown target ${spec}; expected a path or one of: ${Object.keys(BUILTIN_TARGETS).join(', ')}`);
+      dirs.push(path.resolve(spec.replace(/^~(?=$|[\\/])/, home)));
+      continue;
+    }
+    const dir = BUILTIN_TARGETS[spec](home, env);
+    if (dir && fs.existsSync(path.dirname(dir))) dirs.push(dir);
+    else missing.push(dir ? `${spec} (${path.dirname(dir)} does not exist)` : `${spec} (VSCODE_PORTABLE is not set)`);
+  }
+  if (configured && missing.length) throw new Error(`Target not found: ${missing.join(', ')}`);
+  return [...new Set(dirs)];
+}
+
+// [{ target, folder, dir, slug, stamp, name }] sorted by slug, then newest first
+export function listInstalled(targets) {
+  const out = [];
+  for (const target of targets) {
+    if (!fs.existsSync(target)) continue;
+    for (const folder of fs.readdirSync(target)) {
+      const m = INSTALLED_FOLDER.exec(folder);
+      if (!m) continue;
+      const dir = path.join(target, folder);
+      let name = m[1];
+      try {
+        name = JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf8')).displayName || name;
+      } catch {
+        // half-written or hand-edited folder: fall back to the slug
+      }
+      out.push({ target, folder, dir, slug: m[1], stamp: m[2], name });
+    }
+  }
+  return out.sort((a, b) => a.slug.localeCompare(b.slug) || b.stamp.localeCompare(a.stamp) || a.target.localeCompare(b.target));
+}
+
+// Every installed copy except the newest per slug in each target
+export function staleInstalled(installed) {
+  const seen = new Set();
+  return installed.filter(({ target, slug }) => {
+    const key = `${target}\0${slug}`;
+    if (seen.has(key)) return true;
+    seen.add(key);
+    return false;
+  });
+}
+
+export function removeInstalled(entries) {
+  for (const { dir } of entries) fs.rmSync(dir, { recursive: true, force: true });
+}
@@ -0,0 +1,188 @@
+import { flatten } from './color.js';
+import { xmlEscape } from './plist.js';
+import { isLightTheme, slugify, tokenStyle } from './theme.js';
+
+// JetBrains IDEs from a generated theme: an editor color scheme (.icls) and a
+// minimal UI theme (.theme.json) that points at it. JetBrains colors have no alpha,
+// so translucent workbench colors are flattened over the surface they sit on.
+
+// Editor scheme colors -> VS Code workbench color, drawn over the editor background
+const SCHEME_COLORS = {
+  CARET_COLOR: 'editorCursor.foreground',
+  CARET_ROW_COLOR: 'editor.lineHighlightBackground',
+  SELECTION_BACKGROUND: 'editor.selectionBackground',
+  SELECTION_FOREGROUND: 'editor.selectionForeground',
+  GUTTER_BACKGROUND: 'editorGutter.background',
+  LINE_NUMBERS_COLOR: 'editorLineNumber.foreground',
+  LINE_NUMBER_ON_CARET_ROW_COLOR: 'editorLineNumber.activeForeground',
+  INDENT_GUIDE: 'editorIndentGuide.background1',
+  SELECTED_INDENT_GUIDE: 'editorIndentGuide.activeBackground1',
+  WHITESPACES: 'editorWhitespace.foreground',
+  RIGHT_MARGIN_COLOR: 'editorRuler.foreground',
+  CONSOLE_BACKGROUND_KEY: 'terminal.background',
+  ADDED_LINES_COLOR: 'editorGutter.addedBackground',
+  MODIFIED_LINES_COLOR: 'editorGutter.modifiedBackground',
+  DELETED_LINES_COLOR: 'editorGutter.deletedBackground',
+  DOCUMENTATION_COLOR: 'editorHoverWidget.background',
+};
+
+// Language-default attribute keys -> semantic token type
+const SYNTAX_ATTRIBUTES = {
+  DEFAULT_KEYWORD: 'keyword',
+  DEFAULT_LINE_COMMENT: 'comment',
+  DEFAULT_BLOCK_COMMENT: 'comment',
+  DEFAULT_DOC_COMMENT: 'comment',
+  DEFAULT_STRING: 'string',
+  DEFAULT_VALID_STRING_ESCAPE: 'regexp',
+  DEFAULT_NUMBER: 'number',
+  DEFAULT_CONSTANT: 'enumMember',
+  DEFAULT_FUNCTION_DECLARATION: 'function',
+  DEFAULT_FUNCTION_CALL: 'function',
+  DEFAULT_INSTANCE_METHOD: 'method',
+  DEFAULT_STATIC_METHOD: 'method',
+  DEFAULT_PREDEFINED_SYMBOL: 'function',
+  DEFAULT_CLASS_NAME: 'class',
+  DEFAULT_CLASS_REFERENCE: 'class',
+  DEFAULT_INTERFACE_NAME: 'interface',
+  DEFAULT_PARAMETER: 'parameter',
+  DEFAULT_LOCAL_VARIABLE: 'variable',
+  DEFAULT_GLOBAL_VARIABLE: 'variable',
+  DEFAULT_IDENTIFIER: 'variable',
+  DEFAULT_INSTANCE_FIELD: 'property',
+  DEFAULT_STATIC_FIELD: 'property',
+  DEFAULT_METADATA: 'decorator',
+  DEFAULT_LABEL: 'label',
+  DEFAULT_TAG: 'keyword',
+  DEFAULT_ATTRIBUTE: 'property',
+  DEFAULT_OPERATION_SIGN: 'operator',
+  DEFAULT_BRACES: 'operator',
+  DEFAULT_BRACKETS: 'operator',
+  DEFAULT_PARENTHS: 'operator',
+  DEFAULT_COMMA: 'operator',
+  DEFAULT_SEMICOLON: 'operator',
+  DEFAULT_DOT: 'operator',
+};
+
+// Run/terminal console output -> ANSI color
+const CONSOLE_ATTRIBUTES = {
+  CONSOLE_BLACK_OUTPUT: 'Black',
+  CONSOLE_RED_OUTPUT: 'Red',
+  CONSOLE_GREEN_OUTPUT: 'Green',
+  CONSOLE_YELLOW_OUTPUT: 'Yellow',
+  CONSOLE_BLUE_OUTPUT: 'Blue',
+  CONSOLE_MAGENTA_OUTPUT: 'Magenta',
+  CONSOLE_CYAN_OUTPUT: 'Cyan',
+  CONSOLE_GRAY_OUTPUT: 'White',
+  CONSOLE_DARKGRAY_OUTPUT: 'BrightBlack',
+  CONSOLE_RED_BRIGHT_OUTPUT: 'BrightRed',
+  CONSOLE_GREEN_BRIGHT_OUTPUT: 'BrightGreen',
+  CONSOLE_YELLOW_BRIGHT_OUTPUT: 'BrightYellow',
+  CONSOLE_BLUE_BRIGHT_OUTPUT: 'BrightBlue',
+  CONSOLE_MAGENTA_BRIGHT_OUTPUT: 'BrightMagenta',
+  CONSOLE_CYAN_BRIGHT_OUTPUT: 'BrightCyan',
+  CONSOLE_WHITE_OUTPUT: 'BrightWhite',
+};
+
+// FONT_TYPE bit flags
+const BOLD = 1;
+const ITALIC = 2;
+// EFFECT_TYPE values
+const WAVE_UNDERSCORE = 2;
+const BOLD_DOTTED_LINE = 5;
+
+function rgb(hex, bg) {
+  return flatten(hex, bg).slice(1);
+}
+
+function attribute(name, values) {
+  const options = Object.entries(values)
+    .filter(([, v]) => v !== undefined)
+    .map(([k, v]) => `        <option name="${k}" value="${v}" />`);
+  return `    <option name="${name}">\n      <value>\n${options.join('\n')}\n      </value>\n    </option>`;
+}
+
+export function jetbrainsColorScheme(theme) {
+  const c = theme.colors;
+  const bg = c['editor.background'];
+  const color = (key) => rgb(c[key], bg);
+  const colors = Object.entries(SCHEME_COLORS)
+    .filter(([, key]) => c[key])
+    .map(([name, key]) => `    <option name="${name}" value="${color(key)}" />`);
+
+  const attributes = [
+    attribute('TEXT', { FOREGROUND: color('editor.foreground'), BACKGROUND: rgb(bg, bg) }),
+    ...Object.entries(SYNTAX_ATTRIBUTES).map(([name, selector]) => {
+      const style = tokenStyle(theme, selector);
+      const fontType = (style.bold ? BOLD : 0) | (style.italic ? ITALIC : 0);
+      return attribute(name, { FOREGROUND: rgb(style.foreground, bg), FONT_TYPE: fontType || undefined });
+    }),
+    attribute('ERRORS_ATTRIBUTES', { EFFECT_COLOR: color('editorError.foreground'), EFFECT_TYPE: WAVE_UNDERSCORE }),
+    attribute('WARNING_ATTRIBUTES', { EFFECT_COLOR: color('editorWarning.foreground'), EFFECT_TYPE: WAVE_UNDERSCORE }),
+    attribute('INFO_ATTRIBUTES', { EFFECT_COLOR: color('editorInfo.foreground'), EFFECT_TYPE: BOLD_DOTTED_LINE }),
+    attribute('SEARCH_RESULT_ATTRIBUTES', { BACKGROUND: color('editor.findMatchHighlightBackground') }),
+    attribute('TEXT_SEARCH_RESULT_ATTRIBUTES', { BACKGROUND: color('editor.findMatchBackground') }),
+    attribute('IDENTIFIER_UNDER_CARET_ATTRIBUTES', { BACKGROUND: color('editor.wordHighlightBackground') }),
+    attribute('MATCHED_BRACE_ATTRIBUTES', { FOREGROUND: color('editorBracketMatch.border'), FONT_TYPE: BOLD }),
+    attribute('CONSOLE_NORMAL_OUTPUT', { FOREGROUND: rgb(c['terminal.foreground'], c['terminal.background']) }),
+    ...Object.entries(CONSOLE_ATTRIBUTES).map(([name, ansi]) => attribute(name, {
+      FOREGROUND: rgb(c[`terminal.ansi${ansi}`], c['terminal.background']),
+    })),
+  ];
+
+  return `<scheme name="${xmlEscape(theme.name)}" version="142" parent_scheme="${isLightTheme(theme) ? 'Default' : 'Darcula'}">
+  <colors>
+${colors.join('\n')}
+  </colors>
+  <attributes>
+${attributes.join('\n')}
+  </attributes>
+</scheme>
+`;
+}
+
+// The UI theme's "ui" keys -> workbench color; nested objects mirror JetBrains' dotted keys
+const UI = {
+  '*': {
+    background: 'sideBar.background',
+    foreground: 'foreground',
+    infoForeground: 'descriptionForeground',
+    disabledForeground: 'disabledForeground',
+    selectionBackground: 'list.activeSelectionBackground',
+    selectionForeground: 'list.activeSelectionForeground',
+    selectionInactiveBackground: 'list.inactiveSelectionBackground',
+    hoverBackground: 'list.hoverBackground',
+    borderColor: 'sideBar.border',
+    separatorColor: 'sideBar.border',
+    focusColor: 'focusBorder',
+  },
+  Button: { default: { startBackground: 'button.background', endBackground: 'button.background', foreground: 'button.foreground' } },
+  Editor: { background: 'editor.background', foreground: 'editor.foreground' },
+  EditorTabs: { background: 'editorGroupHeader.tabsBackground', underlinedTabBackground: 'tab.activeBackground', underlineColor: 'tab.activeBorderTop' },
+  Link: { activeForeground: 'textLink.foreground' },
+  Popup: { background: 'menu.background' },
+  ProgressBar: { progressColor: 'progressBar.background' },
+  StatusBar: { background: 'statusBar.background', borderColor: 'statusBar.border' },
+  TextField: { background: 'input.background', foreground: 'input.foreground' },
+  ToolWindow: { Header: { background: 'sideBarSectionHeader.background' } },
+};
+
+// ui values flattened over the panel background
+function uiColors(spec, colors, bg) {
+  const out = {};
+  for (const [key, value] of Object.entries(spec)) {
+    if (typeof value === 'object') out[key] = uiColors(value, colors, bg);
+    else if (colors[value]) out[key] = flatten(colors[value], bg);
+  }
+  return out;
+}
+
+// .theme.json for a JetBrains theme plugin; the .icls ships next to it as /<slug>.icls
+export function jetbrainsUiTheme(theme) {
+  return {
+    name: theme.name,
+    dark: !isLightTheme(theme),
+    author: 'vscode-theme-generator',
+    editorScheme: `/${slugify(theme.name)}.icls`,
+    ui: uiColors(UI, theme.colors, theme.colors['sideBar.background']),
+  };
+}
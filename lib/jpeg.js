@@ -0,0 +1,244 @@
+// Baseline JPEG decoder (SOF0/SOF1, Huffman, 8-bit): grayscale or YCbCr with any
+// chroma subsampling and restart intervals. Progressive and arithmetic-coded files
+// are rejected. Returns { width, height, data } with 8-bit RGBA pixels.
+
+const ZIGZAG = [
+  0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5,
+  12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28,
+  35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51,
+  58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47, 55, 62, 63,
+];
+
+// COS[x * 8 + u] = C(u) * cos((2x + 1) u π / 16) / 2
+const COS = new Float64Array(64);
+for (let x = 0; x < 8; x++) {
+  for (let u = 0; u < 8; u++) COS[x * 8 + u] = (u === 0 ? Math.SQRT1_2 : 1) * Math.cos(((2 * x + 1) * u * Math.PI) / 16) / 2;
+}
+
+export function isJpeg(buf) {
+  return buf.length > 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff;
+}
+
+// Canonical Huffman table as code -> symbol maps per code length
+function huffmanTable(counts, symbols) {
+  const lookup = new Map();
+  let code = 0, k = 0;
+  for (let len = 1; len <= 16; len++) {
+    for (let i = 0; i < counts[len - 1]; i++) lookup.set((len << 16) | code++, symbols[k++]);
+    code <<= 1;
+  }
+  return lookup;
+}
+
+function idct(coef, out, outOffset, stride) {
+  const tmp = new Float64Array(64);
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      let s = 0;
+      for (let u = 0; u < 8; u++) s += COS[x * 8 + u] * coef[y * 8 + u];
+      tmp[y * 8 + x] = s;
+    }
+  }
+  for (let x = 0; x < 8; x++) {
+    for (let y = 0; y < 8; y++) {
+      let s = 0;
+      for (let v = 0; v < 8; v++) s += COS[y * 8 + v] * tmp[v * 8 + x];
+      out[outOffset + y * stride + x] = Math.max(0, Math.min(255, Math.round(s + 128)));
+    }
+  }
+}
+
+export function decodeJpeg(buf) {
+  if (!isJpeg(buf)) throw new Error('Not a JPEG file');
+  const qt = [];
+  const dc = [], ac = [];
+  let frame = null;
+  let restartInterval = 0;
+  let adobeTransform = -1;
+  let pos = 2;
+
+  const decodeScan = (comps, start) => {
+    let bitBuf = 0, bitCount = 0, p = start;
+    const readBit = () => {
+      if (bitCount === 0) {
+        if (p >= buf.length) return 0;
+        let byte = buf[p];
+        if (byte === 0xff) {
+          const next = buf[p + 1];
+          if (next === 0) p += 2;
+          else return 0; // marker: pad with zeros until the caller resyncs
+        } else p++;
+        bitBuf = byte;
+        bitCount = 8;
+      }
+      bitCount--;
+      return (bitBuf >> bitCount) & 1;
+    };
+    const receive = (n) => {
+      let v = 0;
+      for (let i = 0; i < n; i++) v = (v << 1) | readBit();
+      return v;
+    };
+    const extend = (v, n) => (n && v < 1 << (n - 1) ? v - (1 << n) + 1 : v);
+    const decodeHuffman = (table) => {
+      let code = 0;
+      for (let len = 1; len <= 16; len++) {
+        code = (code << 1) | readBit();
+        const sym = table.get((len << 16) | code);
+        if (sym !== undefined) return sym;
+      }
+      throw new Error('JPEG: bad Huffman code');
+    };
+    const coef = new Float64Array(64);
+    const decodeBlock = (c, row, col) => {
+      coef.fill(0);
+      const q = qt[c.tq];
+      const t = decodeHuffman(dc[c.td]);
+      c.pred += extend(receive(t), t);
+      coef[0] = c.pred * q[0];
+      for (let k = 1; k < 64;) {
+        const rs = decodeHuffman(ac[c.ta]);
+        const r = rs >> 4, s = rs & 15;
+        if (s === 0) {
+          if (r !== 15) break;
+          k += 16;
+          continue;
+        }
+        k += r;
+        if (k > 63) break;
+        coef[ZIGZAG[k]] = extend(receive(s), s) * q[k];
+        k++;
+      }
+      idct(coef, c.plane, row * 8 * c.stride + col * 8, c.stride);
+    };
+    const resync = () => {
+      bitCount = 0;
+      while (p < buf.length - 1 && !(buf[p] === 0xff && buf[p + 1] >= 0xd0 && buf[p + 1] <= 0xd7)) p++;
+      p += 2;
+      for (const c of comps) c.pred = 0;
+    };
+
+    for (const c of comps) c.pred = 0;
+    const single = comps.length === 1;
+    const total = single
+      ? Math.ceil(Math.ceil((frame.width * comps[0].h) / frame.hmax) / 8) * Math.ceil(Math.ceil((frame.height * comps[0].v) / frame.vmax) / 8)
+      : frame.mcusX * frame.mcusY;
+    const perLine = single ? Math.ceil(Math.ceil((frame.width * comps[0].h) / frame.hmax) / 8) : frame.mcusX;
+    for (let n = 0; n < total; n++) {
+      if (restartInterval && n > 0 && n % restartInterval === 0) resync();
+      const mrow = Math.floor(n / perLine), mcol = n % perLine;
+      if (single) decodeBlock(comps[0], mrow, mcol);
+      else {
+        for (const c of comps) {
+          for (let v = 0; v < c.v; v++) for (let h = 0; h < c.h; h++) decodeBlock(c, mrow * c.v + v, mcol * c.h + h);
+        }
+      }
+    }
+    // skip to the next marker
+    while (p < buf.length - 1 && !(buf[p] === 0xff && buf[p + 1] !== 0 && !(buf[p + 1] >= 0xd0 && buf[p + 1] <= 0xd7))) p++;
+    return p;
+  };
+
+  while (pos < buf.length) {
+    if (buf[pos] !== 0xff) { pos++; continue; }
+    const marker = buf[pos + 1];
+    pos += 2;
+    if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7) || marker === 0xff) {
+      if (marker === 0xff) pos--;
+      continue;
+    }
+    if (marker === 0xd9) break;
+    const len = buf.readUInt16BE(pos);
+    const seg = buf.subarray(pos + 2, pos + len);
+    pos += len;
+    switch (marker) {
+      case 0xdb: // DQT
+        for (let i = 0; i < seg.length;) {
+          const precision = seg[i] >> 4, id = seg[i] & 15;
+          i++;
+          const table = new Uint16Array(64);
+          for (let k = 0; k < 64; k++) {
+            table[k] = precision ? seg.readUInt16BE(i + k * 2) : seg[i + k];
+          }
+          i += precision ? 128 : 64;
+          qt[id] = table;
+        }
+        break;
+      case 0xc4: // DHT
+        for (let i = 0; i < seg.length;) {
+          const cls = seg[i] >> 4, id = seg[i] & 15;
+          const counts = seg.subarray(i + 1, i + 17);
+          const n = counts.reduce((a, b) => a + b, 0);
+          const table = huffmanTable(counts, seg.subarray(i + 17, i + 17 + n));
+          (cls ? ac : dc)[id] = table;
+          i += 17 + n;
+        }
+        break;
+      case 0xdd: // DRI
+        restartInterval = seg.readUInt16BE(0);
+        break;
+      case 0xee: // APP14 Adobe
+        if (seg.toString('latin1', 0, 5) === 'Adobe') adobeTransform = seg[11];
+        break;
+      case 0xc0:
+      case 0xc1: { // baseline / extended sequential Huffman
+        if (seg[0] !== 8) throw new Error(`JPEG: ${seg[0]}-bit samples are not supported`);
+        const height = seg.readUInt16BE(1), width = seg.readUInt16BE(3);
+        const components = [];
+        for (let i = 0; i < seg[5]; i++) {
+          const o = 6 + i * 3;
+          components.push({ id: seg[o], h: seg[o + 1] >> 4, v: seg[o + 1] & 15, tq: seg[o + 2] });
+        }
+        const hmax = Math.max(...components.map((c) => c.h));
+        const vmax = Math.max(...components.map((c) => c.v));
+        const mcusX = Math.ceil(width / (8 * hmax)), mcusY = Math.ceil(height / (8 * vmax));
+        for (const c of components) {
+          c.stride = mcusX * c.h * 8;
+          c.plane = new Uint8ClampedArray(c.stride * mcusY * c.v * 8);
+        }
+        frame = { width, height, components, hmax, vmax, mcusX, mcusY };
+        break;
+      }
+      case 0xda: { // SOS
+        if (!frame) throw new Error('JPEG: scan before frame header');
+        const comps = [];
+        for (let i = 0; i < seg[0]; i++) {
+          const c = frame.components.find((fc) => fc.id === seg[1 + i * 2]);
+          c.td = seg[2 + i * 2] >> 4;
+          c.ta = seg[2 + i * 2] & 15;
+          comps.push(c);
+        }
+        pos = decodeScan(comps, pos);
+        break;
+      }
+      default:
+        if (marker >= 0xc2 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+          throw new Error('JPEG: only baseline (sequential Huffman) files are supported');
+        }
+    }
+  }
+  if (!frame) throw new Error('JPEG: no frame header');
+
+  const { width, height, components, hmax, vmax } = frame;
+  if (components.length !== 1 && components.length !== 3) throw new Error(`JPEG: ${components.length}-component (CMYK) files are not supported`);
+  const data = Buffer.alloc(width * height * 4);
+  const at = (c, x, y) => c.plane[Math.floor((y * c.v) / vmax) * c.stride + Math.floor((x * c.h) / hmax)];
+  const ycc = components.length === 3 && adobeTransform !== 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      if (components.length === 1) {
+        data[o] = data[o + 1] = data[o + 2] = at(components[0], x, y);
+      } else if (ycc) {
+        const Y = at(components[0], x, y), cb = at(components[1], x, y) - 128, cr = at(components[2], x, y) - 128;
+        data[o] = Math.max(0, Math.min(255, Math.round(Y + 1.402 * cr)));
+        data[o + 1] = Math.max(0, Math.min(255, Math.round(Y - 0.344136 * cb - 0.714136 * cr)));
+        data[o + 2] = Math.max(0, Math.min(255, Math.round(Y + 1.772 * cb)));
+      } else {
+        for (let c = 0; c < 3; c++) data[o + c] = at(components[c], x, y);
+      }
+      data[o + 3] = 255;
+    }
+  }
+  return { width, height, data };
+}
@@ -0,0 +1,76 @@
+import { hexToRgb, rgbToHex } from './color.js';
+
+// OKLab / OKLCH conversions (Björn Ottosson) with gamut mapping back to sRGB.
+// L is 0..1, C is chroma (sRGB tops out near 0.37), h in degrees.
+// shadeOklch/toneOklch mirror shade/tone: "saturation" arguments are chroma as a
+// fraction of C_MAX so the same deltas can drive either space.
+
+export const C_MAX = 0.37;
+
+const toLinear = (c) => (c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4));
+const toGamma = (c) => (c <= 0.0031308 ? 12.92 * c : 1.055 * Math.pow(c, 1 / 2.4) - 0.055);
+
+export function hexToOklab(hex) {
+  const { r, g, b } = hexToRgb(hex);
+  const [lr, lg, lb] = [r, g, b].map((c) => toLinear(c / 255));
+  const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+  const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+  const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+  return {
+    L: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+    a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+    b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s,
+  };
+}
+// Linear sRGB, possibly out of the 0..1 gamut
+function oklabToLinear({ L, a, b }) {
+  const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+  const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+  const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+  return [
+    +4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s,
+  ];
+}
+export function hexToOklch(hex) {
+  const { L, a, b } = hexToOklab(hex);
+  const C = Math.sqrt(a * a + b * b);
+  const h = C < 1e-4 ? 0 : (Math.atan2(b, a) * 180 / Math.PI + 360) % 360;
+  return { L, C, h };
+}
+function lchToLinear({ L, C, h }) {
+  const hr = h * Math.PI / 180;
+  return oklabToLinear({ L, a: C * Math.cos(hr), b: C * Math.sin(hr) });
+}
+const inGamut = (rgb) => rgb.every((c) => c >= -1e-6 && c <= 1 + 1e-6);
+
+// Gamut mapping: keep L and h, bisect chroma down until the color fits in sRGB
+export function oklchToHex({ L, C, h }) {
+  L = Math.max(0, Math.min(1, L));
+  C = Math.max(0, C);
+  let rgb = lchToLinear({ L, C, h });
+  if (!inGamut(rgb)) {
+    let lo = 0, hi = C;
+    while (hi - lo > 1e-5) {
+      const mid = (lo + hi) / 2;
+      if (inGamut(lchToLinear({ L, C: mid, h }))) lo = mid; else hi = mid;
+    }
+    rgb = lchToLinear({ L, C: lo, h });
+  }
+  const [r, g, b] = rgb.map((c) => toGamma(Math.max(0, Math.min(1, c))) * 255);
+  return rgbToHex(r, g, b);
+}
+
+export function shadeOklch(hex, dl = 0, ds = 0) {
+  const lch = hexToOklch(hex);
+  return oklchToHex({ L: lch.L + dl, C: Math.min(C_MAX, lch.C + ds * C_MAX), h: lch.h });
+}
+export function toneOklch(hex, l, sMax = 1) {
+  const lch = hexToOklch(hex);
+  return oklchToHex({ L: l, C: Math.min(lch.C, sMax * C_MAX), h: lch.h });
+}
+export function spinOklch(hex, deg) {
+  const lch = hexToOklch(hex);
+  return oklchToHex({ ...lch, h: (lch.h + deg + 360) % 360 });
+}
@@ -0,0 +1,102 @@
+import { rgbToHex } from './color.js';
+import { hexToOklch } from './oklch.js';
+import { isJpeg, decodeJpeg } from './jpeg.js';
+import { isPng, decodePng } from './png.js';
+
+// Seed palettes from images: median-cut boxes refined by a few k-means passes over
+// a strided sample of the opaque pixels. Colors come back most common first.
+
+const MAX_SAMPLES = 20000;
+const KMEANS_PASSES = 8;
+// boxes narrower than this on every channel are one color already
+const MIN_SPLIT_RANGE = 16;
+const ACCENT_L = { min: 0.45, max: 0.85 };
+
+export function decodeImage(buf) {
+  if (isPng(buf)) return decodePng(buf);
+  if (isJpeg(buf)) return decodeJpeg(buf);
+  throw new Error('Unsupported image: expected PNG or JPEG');
+}
+
+function samplePixels({ width, height, data }) {
+  const stride = Math.max(1, Math.floor((width * height) / MAX_SAMPLES));
+  const out = [];
+  for (let i = 0; i < width * height; i += stride) {
+    const o = i * 4;
+    if (data[o + 3] >= 128) out.push([data[o], data[o + 1], data[o + 2]]);
+  }
+  return out;
+}
+
+function mean(pixels) {
+  const s = [0, 0, 0];
+  for (const p of pixels) for (let c = 0; c < 3; c++) s[c] += p[c];
+  return s.map((v) => v / pixels.length);
+}
+
+// Split the box with the widest channel range at its median until there are k boxes
+// or nothing is wide enough to split
+function medianCut(pixels, k) {
+  const boxes = [pixels];
+  while (boxes.length < k) {
+    let best = -1, bestRange = MIN_SPLIT_RANGE - 1, bestChannel = 0;
+    boxes.forEach((box, i) => {
+      if (box.length < 2) return;
+      for (let c = 0; c < 3; c++) {
+        let lo = 255, hi = 0;
+        for (const p of box) { lo = Math.min(lo, p[c]); hi = Math.max(hi, p[c]); }
+        if (hi - lo > bestRange) [best, bestRange, bestChannel] = [i, hi - lo, c];
+      }
+    });
+    if (best < 0) break;
+    const box = boxes[best].sort((a, b) => a[bestChannel] - b[bestChannel]);
+    const mid = box.length >> 1;
+    boxes.splice(best, 1, box.slice(0, mid), box.slice(mid));
+  }
+  return boxes.map(mean);
+}
+
+function kmeans(pixels, centers) {
+  let assigned = [];
+  for (let pass = 0; pass < KMEANS_PASSES; pass++) {
+    assigned = centers.map(() => []);
+    for (const p of pixels) {
+      let best = 0, bestD = Infinity;
+      centers.forEach((c, i) => {
+        const d = (p[0] - c[0]) ** 2 + (p[1] - c[1]) ** 2 + (p[2] - c[2]) ** 2;
+        if (d < bestD) [best, bestD] = [i, d];
+      });
+      assigned[best].push(p);
+    }
+    centers = centers.map((c, i) => (assigned[i].length ? mean(assigned[i]) : c));
+  }
+  return centers.map((c, i) => ({ rgb: c, count: assigned[i].length }));
+}
+
+// [{ hex, share }] for up to `colors` clusters, most common first
+export function extractPalette(image, { colors = 8 } = {}) {
+  const pixels = samplePixels(image);
+  if (!pixels.length) throw new Error('Image has no opaque pixels');
+  const clusters = kmeans(pixels, medianCut(pixels, colors));
+  const byHex = new Map();
+  for (const { rgb, count } of clusters) {
+    if (!count) continue;
+    const hex = rgbToHex(...rgb);
+    byHex.set(hex, (byHex.get(hex) || 0) + count);
+  }
+  return [...byHex]
+    .map(([hex, count]) => ({ hex, share: count / pixels.length }))
+    .sort((a, b) => b.share - a.share || a.hex.localeCompare(b.hex));
+}
+
+// Most colorful well-represented entry in the accent lightness band; the most
+// chromatic entry overall when nothing falls inside the band
+export function suggestAccent(palette) {
+  const scored = palette.map(({ hex, share }) => {
+    const { L, C } = hexToOklch(hex);
+    return { hex, score: C * Math.sqrt(share), inBand: L >= ACCENT_L.min && L <= ACCENT_L.max };
+  });
+  const band = scored.filter((s) => s.inBand);
+  const pool = band.length ? band : scored;
+  return pool.reduce((a, b) => (b.score > a.score ? b : a)).hex;
+}
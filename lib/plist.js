@@ -0,0 +1,34 @@
+// Apple XML property lists, for .tmTheme and .itermcolors.
+
+export function xmlEscape(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Strings, finite numbers, booleans, arrays and plain objects (keys in insertion order)
+function node(value, indent) {
+  const pad = '\t'.repeat(indent);
+  if (Array.isArray(value)) {
+    if (!value.length) return `${pad}<array/>`;
+    return `${pad}<array>\n${value.map((v) => node(v, indent + 1)).join('\n')}\n${pad}</array>`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value).filter(([, v]) => v !== undefined);
+    if (!entries.length) return `${pad}<dict/>`;
+    const body = entries.map(([k, v]) => `${pad}\t<key>${xmlEscape(k)}</key>\n${node(v, indent + 1)}`);
+    return `${pad}<dict>\n${body.join('\n')}\n${pad}</dict>`;
+  }
+  if (typeof value === 'boolean') return `${pad}<${value}/>`;
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? `${pad}<integer>${value}</integer>` : `${pad}<real>${value}</real>`;
+  }
+  return `${pad}<string>${xmlEscape(value)}</string>`;
+}
+
+export function plist(value) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">
+<plist version="1.0">
+${node(value, 0)}
+</plist>
+`;
+}
@@ -0,0 +1,125 @@
+import zlib from 'zlib';
+
+// PNG decoder: every color type and bit depth, tRNS transparency and Adam7
+// interlacing. Returns { width, height, data } with 8-bit RGBA pixels.
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+// Adam7 passes: [xStart, yStart, xStep, yStep]
+const ADAM7 = [[0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]];
+
+export function isPng(buf) {
+  return buf.length > 8 && buf.subarray(0, 8).equals(SIGNATURE);
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+  return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+}
+
+// Undoes the per-scanline filters in place; returns the raw rows
+function unfilter(buf, offset, rowBytes, rows, bpp) {
+  const out = Buffer.alloc(rowBytes * rows);
+  for (let y = 0; y < rows; y++) {
+    const type = buf[offset++];
+    const row = y * rowBytes;
+    for (let x = 0; x < rowBytes; x++) {
+      const raw = buf[offset++];
+      const a = x >= bpp ? out[row + x - bpp] : 0;
+      const b = y > 0 ? out[row - rowBytes + x] : 0;
+      const c = x >= bpp && y > 0 ? out[row - rowBytes + x - bpp] : 0;
+      let v;
+      switch (type) {
+        case 0: v = raw; break;
+        case 1: v = raw + a; break;
+        case 2: v = raw + b; break;
+        case 3: v = raw + ((a + b) >> 1); break;
+        case 4: v = raw + paeth(a, b, c); break;
+        default: throw new Error(`PNG: bad filter type ${type}`);
+      }
+      out[row + x] = v & 0xff;
+    }
+  }
+  return { rows: out, next: offset };
+}
+
+export function decodePng(buf) {
+  if (!isPng(buf)) throw new Error('Not a PNG file');
+  let width, height, depth, colorType, interlace;
+  let palette = null, trns = null;
+  const idat = [];
+  for (let pos = 8; pos < buf.length;) {
+    const len = buf.readUInt32BE(pos);
+    const type = buf.toString('latin1', pos + 4, pos + 8);
+    const body = buf.subarray(pos + 8, pos + 8 + len);
+    pos += 12 + len;
+    if (type === 'IHDR') {
+      width = body.readUInt32BE(0);
+      height = body.readUInt32BE(4);
+      [depth, colorType] = [body[8], body[9]];
+      interlace = body[12];
+      if (!CHANNELS[colorType]) throw new Error(`PNG: unsupported color type ${colorType}`);
+    } else if (type === 'PLTE') palette = body;
+    else if (type === 'tRNS') trns = body;
+    else if (type === 'IDAT') idat.push(body);
+    else if (type === 'IEND') break;
+  }
+  if (!width || !idat.length) throw new Error('PNG: missing IHDR or IDAT');
+  if (colorType === 3 && !palette) throw new Error('PNG: indexed image without PLTE');
+
+  const channels = CHANNELS[colorType];
+  const bitsPerPixel = channels * depth;
+  const bpp = Math.max(1, bitsPerPixel >> 3);
+  const inflated = zlib.inflateSync(Buffer.concat(idat));
+  const data = Buffer.alloc(width * height * 4);
+  const max = (1 << depth) - 1;
+
+  // sample `i` of a row, at the image's bit depth
+  const sample = (rows, row, i) => {
+    if (depth === 8) return rows[row + i];
+    if (depth === 16) return rows[row + i * 2];
+    const bit = i * depth;
+    return (rows[row + (bit >> 3)] >> (8 - depth - (bit & 7))) & max;
+  };
+  const scale = (v) => (depth >= 8 ? v : Math.round((v * 255) / max));
+  const trnsGray = trns && colorType === 0 ? trns.readUInt16BE(0) : -1;
+  const trnsRgb = trns && colorType === 2 ? [trns.readUInt16BE(0), trns.readUInt16BE(2), trns.readUInt16BE(4)] : null;
+  // raw tRNS values are compared at full depth; 16-bit samples were read as their high byte
+  const full = (rows, row, i) => (depth === 16 ? rows.readUInt16BE(row + i * 2) : sample(rows, row, i));
+
+  const put = (rows, row, x, px) => {
+    const o = px * 4;
+    const s = x * channels;
+    if (colorType === 3) {
+      const idx = sample(rows, row, x);
+      data[o] = palette[idx * 3];
+      data[o + 1] = palette[idx * 3 + 1];
+      data[o + 2] = palette[idx * 3 + 2];
+      data[o + 3] = trns && idx < trns.length ? trns[idx] : 255;
+    } else if (colorType === 0 || colorType === 4) {
+      const g = scale(sample(rows, row, s));
+      data[o] = data[o + 1] = data[o + 2] = g;
+      data[o + 3] = colorType === 4 ? scale(sample(rows, row, s + 1)) : full(rows, row, s) === trnsGray ? 0 : 255;
+    } else {
+      for (let c = 0; c < 3; c++) data[o + c] = scale(sample(rows, row, s + c));
+      const opaque = !trnsRgb || [0, 1, 2].some((c) => full(rows, row, s + c) !== trnsRgb[c]);
+      data[o + 3] = colorType === 6 ? scale(sample(rows, row, s + 3)) : opaque ? 255 : 0;
+    }
+  };
+
+  const passes = interlace ? ADAM7 : [[0, 0, 1, 1]];
+  let offset = 0;
+  for (const [x0, y0, dx, dy] of passes) {
+    const pw = Math.ceil((width - x0) / dx);
+    const ph = Math.ceil((height - y0) / dy);
+    if (pw <= 0 || ph <= 0) continue;
+    const rowBytes = Math.ceil((pw * bitsPerPixel) / 8);
+    const { rows, next } = unfilter(inflated, offset, rowBytes, ph, bpp);
+    offset = next;
+    for (let y = 0; y < ph; y++) {
+      for (let x = 0; x < pw; x++) put(rows, y * rowBytes, x, (y0 + y * dy) * width + x0 + x * dx);
+    }
+  }
+  return { width, height, data };
+}
@@ -0,0 +1,356 @@
+import { ANSI_NAMES } from './ansi.js';
+import { xmlEscape } from './plist.js';
+import { coverage } from './registry.js';
+
+// Self-contained HTML mock of the VS Code workbench for reviewing a theme in a browser:
+// title bar, activity bar, explorer, tabs, editor, panel with terminal, status bar.
+// - Every workbench color is a --vscode-* custom property, named the way VS Code names
+//   them for webviews; the page only reads those, with fallbacks for keys a theme omits
+// - Sample code is tokenized here and colored by the theme's own tokenColors, resolved
+//   with TextMate's rule: the longest matching scope selector wins, later rules on ties
+// - Tabs switch between samples with CSS only; the page has no scripts
+
+const LANGUAGES = {
+  typescript: {
+    label: 'TypeScript',
+    comment: /^\/\/.*/,
+    keywords: ['import', 'from', 'export', 'return', 'for', 'of', 'if', 'else', 'await', 'new'],
+    storage: ['const', 'let', 'function', 'interface', 'async', 'type', 'class'],
+    constants: ['true', 'false', 'null', 'undefined'],
+    types: ['string', 'number', 'boolean', 'void'],
+  },
+  python: {
+    label: 'Python',
+    comment: /^#.*/,
+    keywords: ['from', 'import', 'return', 'for', 'in', 'if', 'else', 'and', 'or', 'not'],
+    storage: ['def', 'class', 'lambda'],
+    constants: ['True', 'False', 'None', 'self'],
+    types: ['str', 'int', 'float', 'bool', 'list'],
+  },
+  rust: {
+    label: 'Rust',
+    comment: /^\/\/.*/,
+    keywords: ['use', 'for', 'in', 'return', 'if', 'else', 'match'],
+    storage: ['fn', 'let', 'mut', 'pub', 'struct', 'impl'],
+    constants: ['true', 'false', 'None', 'Some'],
+    types: ['str', 'usize', 'u8', 'i32', 'f64', 'bool'],
+  },
+};
+
+// cursor and selection sit on `select`; `error` gets a squiggle (both [line, text], 1-based)
+const SAMPLES = [
+  {
+    file: 'index.ts',
+    language: 'typescript',
+    select: [10, 'entries'],
+    error: [14, 'lenght'],
+    code: [
+      `import { readFile } from 'fs/promises';`,
+      ``,
+      `// Sum the sizes of every file in a list`,
+      `interface Entry {`,
+      `  path: string;`,
+      `  size: number;`,
+      `}`,
+      ``,
+      `export async function totalSize(paths: string[]): Promise<number> {`,
+      `  const entries: Entry[] = [];`,
+      `  for (const path of paths) {`,
+      `    const data = await readFile(path);`,
+      `    if (data === null) return 0;`,
+      `    entries.push({ path, size: data.lenght });`,
+      `  }`,
+      `  return entries.reduce((sum, e) => sum + e.size, 0);`,
+      `}`,
+    ].join('\n'),
+  },
+  {
+    file: 'swatch.py',
+    language: 'python',
+    select: [9, 'luminance'],
+    code: [
+      `from dataclasses import dataclass`,
+      ``,
+      `@dataclass`,
+      `class Swatch:`,
+      `    """One palette role and its color."""`,
+      `    name: str`,
+      `    hex: str = "#32cd32"`,
+      ``,
+      `    def luminance(self) -> float:`,
+      `        r, g, b = (int(self.hex[i:i + 2], 16) / 255 for i in (1, 3, 5))`,
+      `        return 0.2126 * r + 0.7152 * g + 0.0722 * b`,
+      ``,
+      ``,
+      `# Prints the relative luminance of the accent`,
+      `print(Swatch("accent").luminance())`,
+    ].join('\n'),
+  },
+  {
+    file: 'words.rs',
+    language: 'rust',
+    select: [5, 'counts'],
+    code: [
+      `use std::collections::HashMap;`,
+      ``,
+      `// Counts how often each word appears`,
+      `pub fn word_counts(text: &str) -> HashMap<&str, usize> {`,
+      `    let mut counts = HashMap::new();`,
+      `    for word in text.split_whitespace() {`,
+      `        *counts.entry(word).or_insert(0) += 1;`,
+      `    }`,
+      `    counts`,
+      `}`,
+    ].join('\n'),
+  },
+];
+
+const TOKEN = /^(?:("""[^]*?"""|"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*')|(\d+(?:\.\d+)?)|(@?[A-Za-z_]\w*)|(=>|->|[-+*/%=!&|^?]+)|([{}()[\];,.:<>]+)|(\s+)|(.))/;
+
+// [[scope, text]] for one line; scope is undefined for plain text
+function tokenize(line, lang) {
+  const out = [];
+  const comment = line.match(/^(\s*)(.*)$/);
+  if (lang.comment.test(comment[2])) return [[undefined, comment[1]], ['comment.line', comment[2]]];
+  for (let rest = line; rest;) {
+    const [text, string, number, word, operator, punctuation] = rest.match(TOKEN);
+    rest = rest.slice(text.length);
+    let scope;
+    if (string) scope = 'string.quoted';
+    else if (number) scope = 'constant.numeric';
+    else if (punctuation) scope = 'punctuation';
+    else if (operator) scope = 'keyword.operator';
+    else if (word) {
+      if (word.startsWith('@')) scope = 'entity.name.function.decorator';
+      else if (lang.keywords.includes(word)) scope = 'keyword.control';
+      else if (lang.storage.includes(word)) scope = 'storage.type';
+      else if (lang.constants.includes(word)) scope = 'constant.language';
+      else if (lang.types.includes(word)) scope = 'support.type';
+      else if (/^\s*\(/.test(rest)) scope = 'entity.name.function';
+      else if (/^[A-Z]/.test(word)) scope = 'entity.name.type';
+      else scope = 'variable.other';
+    }
+    out.push([scope, text]);
+  }
+  return out;
+}
+
+// Theme files can come from anywhere: only plain hex colors and registry-shaped keys
+// reach the page, everything else is dropped
+const HEX = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+const COLOR_KEY = /^[A-Za-z0-9_.-]+$/;
+const hexOrNull = (value) => (typeof value === 'string' && HEX.test(value) ? value : null);
+
+// { foreground, fontStyle } from the tokenColors rule whose selector matches `scope` best
+function scopeStyle(theme, scope) {
+  let best = { score: -1, settings: {} };
+  for (const rule of theme.tokenColors || []) {
+    const selectors = Array.isArray(rule.scope) ? rule.scope : String(rule.scope || '').split(',');
+    for (const selector of selectors.map((s) => s.trim()).filter(Boolean)) {
+      if (scope !== selector && !scope.startsWith(`${selector}.`)) continue;
+      const score = selector.split('.').length;
+      if (score >= best.score) best = { score, settings: rule.settings || {} };
+    }
+  }
+  return best.settings;
+}
+
+function tokenSpan(theme, scope, text, extra = '') {
+  if (!scope) return extra ? `<span class="${extra}">${xmlEscape(text)}</span>` : xmlEscape(text);
+  const { foreground, fontStyle } = scopeStyle(theme, scope);
+  const styles = typeof fontStyle === 'string' ? fontStyle : '';
+  const color = hexOrNull(foreground);
+  const style = [
+    color && `color:${color}`,
+    styles.includes('italic') && 'font-style:italic',
+    styles.includes('bold') && 'font-weight:bold',
+    styles.includes('underline') && 'text-decoration:underline',
+    styles.includes('strikethrough') && 'text-decoration:line-through',
+  ].filter(Boolean).join(';');
+  return `<span${extra ? ` class="${extra}"` : ''}${style ? ` style="${xmlEscape(style)}"` : ''}>${xmlEscape(text)}</span>`;
+}
+
+function editorHtml(theme, sample, index) {
+  const lang = LANGUAGES[sample.language];
+  const lines = sample.code.split('\n').map((line, i) => {
+    const n = i + 1;
+    const mark = (spot, token) => spot && spot[0] === n && spot[1] === token;
+    let selected = false, squiggled = false;
+    const body = tokenize(line, lang).map(([scope, text]) => {
+      if (!selected && mark(sample.select, text)) {
+        selected = true;
+        return `${tokenSpan(theme, scope, text, 'selection')}<span class="cursor"></span>`;
+      }
+      if (!squiggled && mark(sample.error, text)) {
+        squiggled = true;
+        return tokenSpan(theme, scope, text, 'squiggle');
+      }
+      return tokenSpan(theme, scope, text);
+    }).join('');
+    const current = sample.select && sample.select[0] === n;
+    return `<div class="line${current ? ' current' : ''}"><span class="gutter">${n}</span><span class="code">${body || ' '}</span></div>`;
+  });
+  return `<div class="editor editor-${index}">
+        <div class="breadcrumbs">src › ${xmlEscape(sample.file)}</div>
+        <div class="lines">
+${lines.map((l) => `          ${l}`).join('\n')}
+        </div>
+      </div>`;
+}
+
+const ICONS = {
+  files: '<path d="M6 3h8l4 4v14H6z M14 3v4h4"/>',
+  search: '<circle cx="10" cy="10" r="6"/><path d="M14.5 14.5L20 20"/>',
+  git: '<circle cx="7" cy="5" r="2"/><circle cx="7" cy="19" r="2"/><circle cx="17" cy="9" r="2"/><path d="M7 7v10 M17 11c0 4-10 2-10 6"/>',
+  extensions: '<path d="M4 4h7v7H4z M13 4h7v7h-7z M4 13h7v7H4z M13 13h7v7h-7z"/>',
+};
+
+function icon(name) {
+  return `<svg viewBox="0 0 24 24" width="24" height="24" fill="none" stroke="currentColor" stroke-width="1.5">${ICONS[name]}</svg>`;
+}
+
+function terminalHtml(theme) {
+  const ansi = (name, text, bold) => `<span style="color:var(--vscode-terminal-ansi${name})${bold ? ';font-weight:bold' : ''}">${xmlEscape(text)}</span>`;
+  const cap = (n) => n[0].toUpperCase() + n.slice(1);
+  const swatches = (prefix) => ANSI_NAMES.map((n) => {
+    const key = `${prefix}${cap(n)}`;
+    return `<span class="ansi" style="background:var(--vscode-terminal-ansi${key})"></span>${ansi(key, key.padEnd(14))}`;
+  }).join('');
+  return [
+    `${ansi('Green', '➜ ')}${ansi('Cyan', 'theme-preview', true)} ${ansi('Blue', 'git:(')}${ansi('Red', 'main')}${ansi('Blue', ')')} npm run build`,
+    `${ansi('Green', '✓')} ${xmlEscape(theme.name)}: workbench coverage ${coverage(theme.colors || {}).percent.toFixed(1)}%`,
+    `${ansi('Yellow', '⚠')} 2 colors adjusted to meet the contrast target`,
+    `${ansi('Red', '✗')} ${ansi('BrightBlack', 'specs/draft.json: unknown type "sepia"')}`,
+    `${ansi('Green', '➜ ')}${ansi('Cyan', 'theme-preview', true)} ls`,
+    `${ansi('Blue', 'src', true)}  ${ansi('Blue', 'themes', true)}  ${ansi('Green', 'build.sh')}  ${ansi('Magenta', 'logo.png')}  README.md`,
+    swatches(''),
+    swatches('Bright'),
+    `${ansi('Green', '➜ ')}${ansi('Cyan', 'theme-preview', true)} <span class="term-cursor"> </span>`,
+  ].map((l) => `<div>${l}</div>`).join('\n          ');
+}
+
+// VS Code's webview naming: editor.background -> --vscode-editor-background
+function cssVariables(colors) {
+  return Object.entries(colors || {})
+    .filter(([k, v]) => COLOR_KEY.test(k) && hexOrNull(v))
+    .map(([k, v]) => `  --vscode-${k.replace(/\./g, '-')}: ${v};`)
+    .join('\n');
+}
+
+const v = (key, fallback) => `var(--vscode-${key.replace(/\./g, '-')}${fallback ? `, ${fallback}` : ''})`;
+
+const STYLE = `
+* { box-sizing: border-box; }
+body { margin: 0; padding: 24px; background: #808080; font: 13px/1.4 system-ui, -apple-system, "Segoe UI", sans-serif; }
+.workbench { width: 1200px; height: 780px; margin: 0 auto; display: grid; grid-template: 30px 1fr 22px / 48px 240px 1fr; box-shadow: 0 8px 32px rgba(0, 0, 0, .4); overflow: hidden; color: ${v('foreground', '#cccccc')}; }
+.titlebar { grid-column: 1 / -1; display: flex; align-items: center; justify-content: center; background: ${v('titleBar.activeBackground', '#3c3c3c')}; color: ${v('titleBar.activeForeground', '#cccccc')}; border-bottom: 1px solid ${v('titleBar.border', 'transparent')}; font-size: 12px; }
+.activitybar { display: flex; flex-direction: column; background: ${v('activityBar.background', '#333333')}; border-right: 1px solid ${v('activityBar.border', 'transparent')}; }
+.activitybar .item { position: relative; display: flex; justify-content: center; padding: 12px 0; color: ${v('activityBar.inactiveForeground', '#ffffff66')}; }
+.activitybar .item.active { color: ${v('activityBar.foreground', '#ffffff')}; border-left: 2px solid ${v('activityBar.activeBorder', v('activityBar.foreground'))}; background: ${v('activityBar.activeBackground', 'transparent')}; }
+.activitybar .badge { position: absolute; right: 8px; bottom: 8px; min-width: 16px; padding: 0 4px; border-radius: 8px; font-size: 9px; line-height: 16px; text-align: center; background: ${v('activityBarBadge.background', '#007acc')}; color: ${v('activityBarBadge.foreground', '#ffffff')}; }
+.sidebar { display: flex; flex-direction: column; background: ${v('sideBar.background', '#252526')}; color: ${v('sideBar.foreground', v('foreground'))}; border-right: 1px solid ${v('sideBar.border', 'transparent')}; }
+.sidebar .title { padding: 10px 20px; font-size: 11px; color: ${v('sideBarTitle.foreground', v('sideBar.foreground'))}; }
+.sidebar .section { padding: 3px 8px; font-size: 11px; font-weight: bold; background: ${v('sideBarSectionHeader.background', 'transparent')}; color: ${v('sideBarSectionHeader.foreground', v('sideBar.foreground'))}; border-top: 1px solid ${v('sideBarSectionHeader.border', 'transparent')}; }
+.sidebar .entry { padding: 2px 8px; white-space: pre; }
+.sidebar .entry.selected { background: ${v('list.activeSelectionBackground', '#04395e')}; color: ${v('list.activeSelectionForeground', 'inherit')}; outline: 1px solid ${v('list.focusOutline', 'transparent')}; outline-offset: -1px; }
+.sidebar .entry.hover { background: ${v('list.hoverBackground', '#2a2d2e')}; }
+.sidebar .modified { color: ${v('gitDecoration.modifiedResourceForeground', '#e2c08d')}; }
+.sidebar .untracked { color: ${v('gitDecoration.untrackedResourceForeground', '#73c991')}; }
+.sidebar .ignored { color: ${v('gitDecoration.ignoredResourceForeground', '#8c8c8c')}; }
+.main { display: grid; grid-template-rows: 1fr 230px; min-width: 0; min-height: 0; }
+.group { display: flex; flex-direction: column; min-height: 0; background: ${v('editor.background', '#1e1e1e')}; }
+.group > input { display: none; }
+.tabs { display: flex; background: ${v('editorGroupHeader.tabsBackground', '#252526')}; border-bottom: 1px solid ${v('editorGroupHeader.tabsBorder', 'transparent')}; }
+.tabs label { padding: 8px 16px; cursor: pointer; background: ${v('tab.inactiveBackground', '#2d2d2d')}; color: ${v('tab.inactiveForeground', '#ffffff80')}; border-right: 1px solid ${v('tab.border', '#252526')}; border-top: 1px solid transparent; }
+.tabs label:hover { background: ${v('tab.hoverBackground', v('tab.inactiveBackground'))}; color: ${v('tab.hoverForeground', v('tab.inactiveForeground'))}; }
+.editor { display: none; flex: 1; min-height: 0; overflow: hidden; background: ${v('editor.background', '#1e1e1e')}; color: ${v('editor.foreground', '#d4d4d4')}; }
+.breadcrumbs { padding: 2px 16px; font-size: 12px; background: ${v('breadcrumb.background', v('editor.background'))}; color: ${v('breadcrumb.foreground', '#cccccccc')}; }
+.lines { padding-top: 4px; font: 13px/19px Menlo, Consolas, "DejaVu Sans Mono", monospace; }
+.line { display: flex; white-space: pre; border: 1px solid transparent; }
+.line.current { background: ${v('editor.lineHighlightBackground', 'transparent')}; border-color: ${v('editor.lineHighlightBorder', 'transparent')}; }
+.gutter { width: 56px; padding-right: 20px; text-align: right; flex: none; color: ${v('editorLineNumber.foreground', '#858585')}; }
+.line.current .gutter { color: ${v('editorLineNumber.activeForeground', v('editor.foreground'))}; }
+.selection { background: ${v('editor.selectionBackground', '#264f78')}; }
+.cursor { display: inline-block; width: 2px; height: 17px; margin-right: -2px; vertical-align: text-bottom; background: ${v('editorCursor.foreground', '#aeafad')}; }
+.squiggle { text-decoration: underline wavy ${v('editorError.foreground', '#f14c4c')}; text-decoration-skip-ink: none; }
+.panel { display: flex; flex-direction: column; min-height: 0; background: ${v('panel.background', v('editor.background'))}; border-top: 1px solid ${v('panel.border', '#80808059')}; }
+.panel .titles { display: flex; gap: 20px; padding: 0 20px; font-size: 11px; }
+.panel .titles span { padding: 8px 0 6px; color: ${v('panelTitle.inactiveForeground', '#e7e7e799')}; border-bottom: 1px solid transparent; }
+.panel .titles .active { color: ${v('panelTitle.activeForeground', '#e7e7e7')}; border-bottom-color: ${v('panelTitle.activeBorder', v('panelTitle.activeForeground'))}; }
+.terminal { flex: 1; padding: 4px 20px; font: 12px/18px Menlo, Consolas, "DejaVu Sans Mono", monospace; background: ${v('terminal.background', v('panel.background'))}; color: ${v('terminal.foreground', '#cccccc')}; }
+.terminal div { white-space: pre; }
+.terminal .ansi { display: inline-block; width: 12px; height: 12px; margin-right: 4px; vertical-align: middle; }
+.term-cursor { background: ${v('terminalCursor.foreground', v('terminal.foreground'))}; }
+.statusbar { grid-column: 1 / -1; display: flex; align-items: center; font-size: 12px; background: ${v('statusBar.background', '#007acc')}; color: ${v('statusBar.foreground', '#ffffff')}; border-top: 1px solid ${v('statusBar.border', 'transparent')}; }
+.statusbar span { padding: 0 8px; }
+.statusbar .remote { align-self: stretch; display: flex; align-items: center; padding: 0 10px; background: ${v('statusBarItem.remoteBackground', v('statusBar.background'))}; color: ${v('statusBarItem.remoteForeground', v('statusBar.foreground'))}; }
+.statusbar .spacer { flex: 1; }
+`;
+
+export function previewHtml(theme) {
+  const name = xmlEscape(theme.name || 'Untitled theme');
+  const [cursorLine, selected] = SAMPLES[0].select;
+  const cursorCol = SAMPLES[0].code.split('\n')[cursorLine - 1].indexOf(selected) + selected.length + 1;
+  const tabCss = SAMPLES.map((_, i) => `#tab-${i}:checked ~ .tabs label[for="tab-${i}"] { background: ${v('tab.activeBackground', v('editor.background'))}; color: ${v('tab.activeForeground', '#ffffff')}; border-top-color: ${v('tab.activeBorderTop', 'transparent')}; border-bottom: 1px solid ${v('tab.activeBorder', 'transparent')}; }
+#tab-${i}:checked ~ .editor-${i} { display: block; }`).join('\n');
+  const entry = (text, cls = '') => `<div class="entry${cls ? ` ${cls}` : ''}">${text}</div>`;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${name} · preview</title>
+<style>
+:root {
+${cssVariables(theme.colors)}
+}
+${STYLE.trim()}
+${tabCss}
+</style>
+</head>
+<body>
+<div class="workbench">
+  <div class="titlebar">${xmlEscape(SAMPLES[0].file)} — theme-preview — ${name}</div>
+  <div class="activitybar">
+    <div class="item active">${icon('files')}</div>
+    <div class="item">${icon('search')}</div>
+    <div class="item">${icon('git')}<span class="badge">3</span></div>
+    <div class="item">${icon('extensions')}</div>
+  </div>
+  <div class="sidebar">
+    <div class="title">EXPLORER</div>
+    <div class="section">THEME-PREVIEW</div>
+    ${entry('⌄ src')}
+    ${entry(`    ${SAMPLES[0].file}`, 'selected')}
+    ${entry(`    <span class="modified">${SAMPLES[1].file}   M</span>`, 'hover')}
+    ${entry(`    <span class="untracked">${SAMPLES[2].file}   U</span>`)}
+    ${entry('› themes')}
+    ${entry('<span class="ignored">› node_modules</span>')}
+    ${entry('  package.json')}
+    ${entry('  README.md')}
+    <div class="section">OUTLINE</div>
+  </div>
+  <div class="main">
+    <div class="group">
+      ${SAMPLES.map((_, i) => `<input type="radio" name="tab" id="tab-${i}"${i ? '' : ' checked'}>`).join('\n      ')}
+      <div class="tabs">
+        ${SAMPLES.map((s, i) => `<label for="tab-${i}">${xmlEscape(s.file)}</label>`).join('\n        ')}
+      </div>
+      ${SAMPLES.map((s, i) => editorHtml(theme, s, i)).join('\n      ')}
+    </div>
+    <div class="panel">
+      <div class="titles"><span>PROBLEMS</span><span>OUTPUT</span><span class="active">TERMINAL</span></div>
+      <div class="terminal">
+          ${terminalHtml(theme)}
+      </div>
+    </div>
+  </div>
+  <div class="statusbar">
+    <span class="remote">›‹</span><span>⎇ main*</span><span>⊗ 1  ⚠ 0</span>
+    <span class="spacer"></span>
+    <span>Ln ${cursorLine}, Col ${cursorCol}</span><span>Spaces: 2</span><span>UTF-8</span><span>${LANGUAGES[SAMPLES[0].language].label}</span><span>${name}</span>
+  </div>
+</div>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,168 @@
+import fs from 'fs';
+import path from 'path';
+import { normalizeHex, hexToRgb, rgbToHex, rgbToHsl, hslToRgb } from './color.js';
+import { luminance } from './contrast.js';
+import { hueDistance } from './syntax.js';
+
+// Re-accent an existing VS Code theme: find the hue family the theme's accent colors
+// share, rotate it onto a new accent and keep everything else as it was.
+// - Hue offsets inside the family and saturation ratios carry over to the new accent
+// - Each shifted color keeps its alpha and its WCAG relative luminance, so every
+//   contrast ratio against the untouched colors is unchanged
+// - Near-greys never count as accent, however often they repeat
+
+export const FAMILY_GAP = 25;
+const CHROMATIC = { s: 0.25, lMin: 0.12, lMax: 0.9 };
+
+// Index of the comment that starts at i, skipped; i itself when there is none
+function skipComment(text, i) {
+  if (text[i] !== '/') return i;
+  if (text[i + 1] === '/') {
+    const end = text.indexOf('\n', i);
+    return end < 0 ? text.length : end;
+  }
+  if (text[i + 1] === '*') {
+    const end = text.indexOf('*/', i + 2);
+    return end < 0 ? text.length : end + 2;
+  }
+  return i;
+}
+
+// JSON with // and /* */ comments and trailing commas, as VS Code reads theme files.
+// One pass outside strings: comments are dropped, and so is a comma whose next
+// token (past whitespace and comments) closes an object or array
+export function parseJsonc(text, file = 'JSONC') {
+  let out = '';
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (c === '"') {
+      const start = i;
+      for (i++; i < text.length && text[i] !== '"'; i++) if (text[i] === '\\') i++;
+      out += text.slice(start, i + 1);
+    } else if (c === '/' && (text[i + 1] === '/' || text[i + 1] === '*')) {
+      i = skipComment(text, i) - 1;
+      out += ' ';
+    } else if (c === ',') {
+      let next = i + 1;
+      for (let skipped = -1; skipped !== next;) {
+        skipped = next;
+        while (/\s/.test(text[next] || '')) next++;
+        next = skipComment(text, next);
+      }
+      if (text[next] !== '}' && text[next] !== ']') out += c;
+    } else {
+      out += c;
+    }
+  }
+  try {
+    return JSON.parse(out);
+  } catch (e) {
+    throw new Error(`${file}: ${e.message}`);
+  }
+}
+
+// Theme file with its `include` chain flattened: parent first, child keys win,
+// child tokenColors appended after the parent's (later rules take precedence)
+export function loadTheme(file, seen = new Set()) {
+  const abs = path.resolve(file);
+  if (seen.has(abs)) throw new Error(`${file}: include cycle`);
+  seen.add(abs);
+  const theme = parseJsonc(fs.readFileSync(abs, 'utf8'), file);
+  if (!theme.include) return theme;
+  const parent = loadTheme(path.resolve(path.dirname(abs), theme.include), seen);
+  const { include, ...own } = theme;
+  const tokenColors = (t) => (Array.isArray(t.tokenColors) ? t.tokenColors : []);
+  const semantic = parent.semanticTokenColors || own.semanticTokenColors;
+  return {
+    ...parent,
+    ...own,
+    colors: { ...parent.colors, ...own.colors },
+    tokenColors: [...tokenColors(parent), ...tokenColors(own)],
+    ...(semantic && { semanticTokenColors: { ...parent.semanticTokenColors, ...own.semanticTokenColors } }),
+  };
+}
+
+const HEX = /^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+// Calls visit(hex) for every color in the theme; its return value replaces the color
+function mapColors(theme, visit) {
+  const map = (v) => (typeof v === 'string' && HEX.test(v) ? visit(v) : v);
+  const colors = {};
+  for (const [k, v] of Object.entries(theme.colors || {})) colors[k] = map(v);
+  const tokenColors = Array.isArray(theme.tokenColors)
+    ? theme.tokenColors.map((rule) => (rule.settings
+      ? { ...rule, settings: { ...rule.settings, foreground: map(rule.settings.foreground), background: map(rule.settings.background) } }
+      : rule))
+    : theme.tokenColors;
+  const semanticTokenColors = {};
+  for (const [k, v] of Object.entries(theme.semanticTokenColors || {})) {
+    semanticTokenColors[k] = v && typeof v === 'object' ? { ...v, foreground: map(v.foreground) } : map(v);
+  }
+  const strip = (o) => JSON.parse(JSON.stringify(o)); // drop the undefined we introduced
+  return strip({
+    ...theme,
+    ...(theme.colors && { colors }),
+    ...(Array.isArray(theme.tokenColors) && { tokenColors }),
+    ...(theme.semanticTokenColors && { semanticTokenColors }),
+  });
+}
+
+function chromatic(hex) {
+  const hsl = rgbToHsl(hexToRgb(hex));
+  return hsl.s >= CHROMATIC.s && hsl.l >= CHROMATIC.lMin && hsl.l <= CHROMATIC.lMax ? hsl : null;
+}
+
+// Hue (every 5°) where chromatic color uses cluster most tightly (each use within
+// FAMILY_GAP scores by closeness), with the family's use count and median
+// saturation; null when the theme has no chromatic colors
+export function dominantHue(theme) {
+  const hues = [];
+  mapColors(theme, (hex) => {
+    const hsl = chromatic(hex);
+    if (hsl) hues.push(hsl);
+    return hex;
+  });
+  if (!hues.length) return null;
+  let best = { hue: 0, score: -1 };
+  for (let hue = 0; hue < 360; hue += 5) {
+    const score = hues.reduce((n, c) => n + Math.max(0, 1 - hueDistance(c.h, hue) / FAMILY_GAP), 0);
+    if (score > best.score) best = { hue, score };
+  }
+  const family = hues.filter((c) => hueDistance(c.h, best.hue) <= FAMILY_GAP);
+  const sats = family.map((c) => c.s).sort((a, b) => a - b);
+  return { hue: best.hue, count: family.length, saturation: sats[Math.floor(sats.length / 2)] };
+}
+
+// Same hue and saturation, HSL lightness bisected until the relative luminance matches
+function matchLuminance({ h, s }, target) {
+  let lo = 0, hi = 1;
+  for (let i = 0; i < 24; i++) {
+    const mid = (lo + hi) / 2;
+    const { r, g, b } = hslToRgb({ h, s, l: mid });
+    if (luminance(rgbToHex(r, g, b)) < target) lo = mid; else hi = mid;
+  }
+  return hslToRgb({ h, s, l: (lo + hi) / 2 });
+}
+
+// Returns { theme, from: { hue, saturation, count }, changed }
+export function reaccentTheme(theme, accent, { name } = {}) {
+  const from = dominantHue(theme);
+  if (!from) throw new Error('No accent found: the theme has no chromatic colors');
+  const to = rgbToHsl(hexToRgb(normalizeHex(accent)));
+  const satScale = from.saturation ? to.s / from.saturation : 1;
+  let changed = 0;
+  const out = mapColors(theme, (hex) => {
+    const hsl = chromatic(hex);
+    if (!hsl) return hex;
+    const offset = ((hsl.h - from.hue + 540) % 360) - 180;
+    if (Math.abs(offset) > FAMILY_GAP) return hex;
+    const { a } = hexToRgb(hex);
+    const h = (to.h + offset + 360) % 360;
+    const s = Math.max(0, Math.min(1, hsl.s * satScale));
+    const { r, g, b } = matchLuminance({ h, s }, luminance(hex));
+    changed++;
+    return rgbToHex(r, g, b, a);
+  });
+  if (name) out.name = name;
+  return { theme: out, from, changed };
+}
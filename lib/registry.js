@@ -0,0 +1,322 @@
+// VS Code workbench color registry (Theme Color reference, VS Code 1.9x).
+// Used to report how much of the workbench a generated theme covers; deprecated
+// ids are left out. Update this list when VS Code adds new color ids.
+
+const series = (prefix, n, suffix = '') => Array.from({ length: n }, (_, i) => `${prefix}${i + 1}${suffix}`);
+
+export const WORKBENCH_COLOR_KEYS = [
+  // contrast
+  'contrastActiveBorder', 'contrastBorder',
+  // base
+  'focusBorder', 'foreground', 'disabledForeground', 'widget.border', 'widget.shadow',
+  'selection.background', 'descriptionForeground', 'errorForeground', 'icon.foreground', 'sash.hoverBorder',
+  // window border
+  'window.activeBorder', 'window.inactiveBorder',
+  // text
+  'textBlockQuote.background', 'textBlockQuote.border', 'textCodeBlock.background', 'textLink.activeForeground',
+  'textLink.foreground', 'textPreformat.foreground', 'textPreformat.background', 'textSeparator.foreground',
+  // actions
+  'toolbar.hoverBackground', 'toolbar.hoverOutline', 'toolbar.activeBackground', 'actionBar.toggledBackground',
+  'editorActionList.background', 'editorActionList.foreground', 'editorActionList.focusForeground', 'editorActionList.focusBackground',
+  // buttons, checkboxes, radios
+  'button.background', 'button.foreground', 'button.border', 'button.separator', 'button.hoverBackground',
+  'button.secondaryForeground', 'button.secondaryBackground', 'button.secondaryHoverBackground',
+  'checkbox.background', 'checkbox.foreground', 'checkbox.border', 'checkbox.selectBackground', 'checkbox.selectBorder',
+  'radio.activeForeground', 'radio.activeBackground', 'radio.activeBorder', 'radio.inactiveForeground',
+  'radio.inactiveBackground', 'radio.inactiveBorder', 'radio.inactiveHoverBackground',
+  // dropdowns
+  'dropdown.background', 'dropdown.listBackground', 'dropdown.border', 'dropdown.foreground',
+  // inputs
+  'input.background', 'input.border', 'input.foreground', 'input.placeholderForeground',
+  'inputOption.activeBackground', 'inputOption.activeBorder', 'inputOption.activeForeground', 'inputOption.hoverBackground',
+  'inputValidation.errorBackground', 'inputValidation.errorForeground', 'inputValidation.errorBorder',
+  'inputValidation.infoBackground', 'inputValidation.infoForeground', 'inputValidation.infoBorder',
+  'inputValidation.warningBackground', 'inputValidation.warningForeground', 'inputValidation.warningBorder',
+  // scrollbars
+  'scrollbar.shadow', 'scrollbarSlider.activeBackground', 'scrollbarSlider.background', 'scrollbarSlider.hoverBackground',
+  // badges, progress
+  'badge.foreground', 'badge.background', 'progressBar.background',
+  // lists and trees
+  'list.activeSelectionBackground', 'list.activeSelectionForeground', 'list.activeSelectionIconForeground',
+  'list.dropBackground', 'list.dropBetweenBackground', 'list.focusBackground', 'list.focusForeground',
+  'list.focusHighlightForeground', 'list.focusOutline', 'list.focusAndSelectionOutline', 'list.highlightForeground',
+  'list.hoverBackground', 'list.hoverForeground', 'list.inactiveSelectionBackground', 'list.inactiveSelectionForeground',
+  'list.inactiveSelectionIconForeground', 'list.inactiveFocusBackground', 'list.inactiveFocusOutline',
+  'list.invalidItemForeground', 'list.errorForeground', 'list.warningForeground', 'list.filterMatchBackground',
+  'list.filterMatchBorder', 'list.deemphasizedForeground',
+  'listFilterWidget.background', 'listFilterWidget.outline', 'listFilterWidget.noMatchesOutline', 'listFilterWidget.shadow',
+  'tree.indentGuidesStroke', 'tree.inactiveIndentGuidesStroke', 'tree.tableColumnsBorder', 'tree.tableOddRowsBackground',
+  // activity bar
+  'activityBar.background', 'activityBar.dropBorder', 'activityBar.foreground', 'activityBar.inactiveForeground',
+  'activityBar.border', 'activityBar.activeBorder', 'activityBar.activeBackground', 'activityBar.activeFocusBorder',
+  'activityBarBadge.background', 'activityBarBadge.foreground',
+  'activityBarTop.foreground', 'activityBarTop.activeBorder', 'activityBarTop.inactiveForeground', 'activityBarTop.dropBorder',
+  'activityBarTop.background', 'activityBarTop.activeBackground',
+  'activityWarningBadge.foreground', 'activityWarningBadge.background', 'activityErrorBadge.foreground', 'activityErrorBadge.background',
+  // profiles
+  'profileBadge.background', 'profileBadge.foreground', 'profiles.sashBorder',
+  // side bar
+  'sideBar.background', 'sideBar.foreground', 'sideBar.border', 'sideBar.dropBackground',
+  'sideBarTitle.foreground', 'sideBarTitle.background', 'sideBarSectionHeader.background',
+  'sideBarSectionHeader.foreground', 'sideBarSectionHeader.border', 'sideBarActivityBarTop.border',
+  'sideBarStickyScroll.background', 'sideBarStickyScroll.border', 'sideBarStickyScroll.shadow',
+  // minimap
+  'minimap.findMatchHighlight', 'minimap.selectionHighlight', 'minimap.errorHighlight', 'minimap.warningHighlight',
+  'minimap.infoHighlight', 'minimap.background', 'minimap.selectionOccurrenceHighlight', 'minimap.foregroundOpacity',
+  'minimapSlider.background', 'minimapSlider.hoverBackground', 'minimapSlider.activeBackground',
+  'minimapGutter.addedBackground', 'minimapGutter.modifiedBackground', 'minimapGutter.deletedBackground',
+  // editor groups and tabs
+  'editorGroup.border', 'editorGroup.dropBackground', 'editorGroupHeader.noTabsBackground',
+  'editorGroupHeader.tabsBackground', 'editorGroupHeader.tabsBorder', 'editorGroupHeader.border',
+  'editorGroup.emptyBackground', 'editorGroup.focusedEmptyBorder', 'editorGroup.dropIntoPromptForeground',
+  'editorGroup.dropIntoPromptBackground', 'editorGroup.dropIntoPromptBorder',
+  'tab.activeBackground', 'tab.unfocusedActiveBackground', 'tab.activeForeground', 'tab.border', 'tab.activeBorder',
+  'tab.selectedBorderTop', 'tab.selectedBackground', 'tab.selectedForeground', 'tab.dragAndDropBorder',
+  'tab.unfocusedActiveBorder', 'tab.activeBorderTop', 'tab.unfocusedActiveBorderTop', 'tab.lastPinnedBorder',
+  'tab.inactiveBackground', 'tab.unfocusedInactiveBackground', 'tab.inactiveForeground', 'tab.unfocusedActiveForeground',
+  'tab.unfocusedInactiveForeground', 'tab.hoverBackground', 'tab.unfocusedHoverBackground', 'tab.hoverForeground',
+  'tab.unfocusedHoverForeground', 'tab.hoverBorder', 'tab.unfocusedHoverBorder', 'tab.activeModifiedBorder',
+  'tab.inactiveModifiedBorder', 'tab.unfocusedActiveModifiedBorder', 'tab.unfocusedInactiveModifiedBorder',
+  'editorPane.background', 'sideBySideEditor.horizontalBorder', 'sideBySideEditor.verticalBorder',
+  // editor
+  'editor.background', 'editor.foreground', 'editorLineNumber.foreground', 'editorLineNumber.activeForeground',
+  'editorLineNumber.dimmedForeground', 'editorCursor.background', 'editorCursor.foreground',
+  'editorMultiCursor.primary.foreground', 'editorMultiCursor.primary.background',
+  'editorMultiCursor.secondary.foreground', 'editorMultiCursor.secondary.background',
+  'editor.placeholder.foreground', 'editor.compositionBorder',
+  'editor.selectionBackground', 'editor.selectionForeground', 'editor.inactiveSelectionBackground',
+  'editor.selectionHighlightBackground', 'editor.selectionHighlightBorder',
+  'editor.wordHighlightBackground', 'editor.wordHighlightBorder', 'editor.wordHighlightStrongBackground',
+  'editor.wordHighlightStrongBorder', 'editor.wordHighlightTextBackground', 'editor.wordHighlightTextBorder',
+  'editor.findMatchBackground', 'editor.findMatchForeground', 'editor.findMatchHighlightForeground',
+  'editor.findMatchHighlightBackground', 'editor.findRangeHighlightBackground', 'editor.findMatchBorder',
+  'editor.findMatchHighlightBorder', 'editor.findRangeHighlightBorder',
+  'search.resultsInfoForeground', 'searchEditor.findMatchBackground', 'searchEditor.findMatchBorder',
+  'searchEditor.textInputBorder',
+  'editor.hoverHighlightBackground', 'editor.lineHighlightBackground', 'editor.lineHighlightBorder',
+  'editorWatermark.foreground', 'editorUnicodeHighlight.border', 'editorUnicodeHighlight.background',
+  'editorLink.activeForeground', 'editor.rangeHighlightBackground', 'editor.rangeHighlightBorder',
+  'editor.symbolHighlightBackground', 'editor.symbolHighlightBorder', 'editorWhitespace.foreground',
+  ...series('editorIndentGuide.background', 6), ...series('editorIndentGuide.activeBackground', 6),
+  'editorInlayHint.background', 'editorInlayHint.foreground', 'editorInlayHint.typeForeground',
+  'editorInlayHint.typeBackground', 'editorInlayHint.parameterForeground', 'editorInlayHint.parameterBackground',
+  'editorRuler.foreground', 'editor.linkedEditingBackground', 'editorCodeLens.foreground',
+  'editorLightBulb.foreground', 'editorLightBulbAutoFix.foreground', 'editorLightBulbAi.foreground',
+  'editorBracketMatch.background', 'editorBracketMatch.border',
+  ...series('editorBracketHighlight.foreground', 6), 'editorBracketHighlight.unexpectedBracket.foreground',
+  ...series('editorBracketPairGuide.activeBackground', 6), ...series('editorBracketPairGuide.background', 6),
+  'editor.foldBackground', 'editor.foldPlaceholderForeground',
+  'editorOverviewRuler.background', 'editorOverviewRuler.border', 'editorOverviewRuler.findMatchForeground',
+  'editorOverviewRuler.rangeHighlightForeground', 'editorOverviewRuler.selectionHighlightForeground',
+  'editorOverviewRuler.wordHighlightForeground', 'editorOverviewRuler.wordHighlightStrongForeground',
+  'editorOverviewRuler.wordHighlightTextForeground', 'editorOverviewRuler.modifiedForeground',
+  'editorOverviewRuler.addedForeground', 'editorOverviewRuler.deletedForeground', 'editorOverviewRuler.errorForeground',
+  'editorOverviewRuler.warningForeground', 'editorOverviewRuler.infoForeground', 'editorOverviewRuler.bracketMatchForeground',
+  'editorError.foreground', 'editorError.border', 'editorError.background',
+  'editorWarning.foreground', 'editorWarning.border', 'editorWarning.background',
+  'editorInfo.foreground', 'editorInfo.border', 'editorInfo.background',
+  'editorHint.foreground', 'editorHint.border',
+  'problemsErrorIcon.foreground', 'problemsWarningIcon.foreground', 'problemsInfoIcon.foreground',
+  'editorUnnecessaryCode.border', 'editorUnnecessaryCode.opacity',
+  'editorGutter.background', 'editorGutter.modifiedBackground', 'editorGutter.addedBackground',
+  'editorGutter.deletedBackground', 'editorGutter.commentRangeForeground', 'editorGutter.commentGlyphForeground',
+  'editorGutter.commentUnresolvedGlyphForeground', 'editorGutter.foldingControlForeground',
+  'editorCommentsWidget.resolvedBorder', 'editorCommentsWidget.unresolvedBorder',
+  'editorCommentsWidget.rangeBackground', 'editorCommentsWidget.rangeActiveBackground',
+  'editorCommentsWidget.replyInputBackground',
+  // diff editor
+  'diffEditor.insertedTextBackground', 'diffEditor.insertedTextBorder', 'diffEditor.removedTextBackground',
+  'diffEditor.removedTextBorder', 'diffEditor.border', 'diffEditor.diagonalFill', 'diffEditor.insertedLineBackground',
+  'diffEditor.removedLineBackground', 'diffEditorGutter.insertedLineBackground', 'diffEditorGutter.removedLineBackground',
+  'diffEditorOverview.insertedForeground', 'diffEditorOverview.removedForeground',
+  'diffEditor.unchangedRegionBackground', 'diffEditor.unchangedRegionForeground', 'diffEditor.unchangedRegionShadow',
+  'diffEditor.unchangedCodeBackground', 'diffEditor.move.border', 'diffEditor.moveActive.border',
+  'multiDiffEditor.headerBackground', 'multiDiffEditor.background', 'multiDiffEditor.border',
+  // chat
+  'chat.requestBorder', 'chat.requestBackground', 'chat.slashCommandBackground', 'chat.slashCommandForeground',
+  'chat.avatarBackground', 'chat.avatarForeground', 'chat.editedFileForeground',
+  'inlineChat.background', 'inlineChat.foreground', 'inlineChat.border', 'inlineChat.shadow',
+  'inlineChatInput.border', 'inlineChatInput.focusBorder', 'inlineChatInput.placeholderForeground',
+  'inlineChatInput.background', 'inlineChatDiff.inserted', 'inlineChatDiff.removed',
+  'interactive.activeCodeBorder', 'interactive.inactiveCodeBorder',
+  // editor widgets
+  'editorWidget.foreground', 'editorWidget.background', 'editorWidget.border', 'editorWidget.resizeBorder',
+  'editorSuggestWidget.background', 'editorSuggestWidget.border', 'editorSuggestWidget.foreground',
+  'editorSuggestWidget.focusHighlightForeground', 'editorSuggestWidget.highlightForeground',
+  'editorSuggestWidget.selectedBackground', 'editorSuggestWidget.selectedForeground',
+  'editorSuggestWidget.selectedIconForeground', 'editorSuggestWidgetStatus.foreground',
+  'editorHoverWidget.foreground', 'editorHoverWidget.background', 'editorHoverWidget.border',
+  'editorHoverWidget.highlightForeground', 'editorHoverWidget.statusBarBackground',
+  'editorGhostText.border', 'editorGhostText.background', 'editorGhostText.foreground',
+  'editorStickyScroll.background', 'editorStickyScroll.border', 'editorStickyScroll.shadow',
+  'editorStickyScrollHover.background',
+  'debugExceptionWidget.background', 'debugExceptionWidget.border',
+  'editorMarkerNavigation.background', 'editorMarkerNavigationError.background',
+  'editorMarkerNavigationWarning.background', 'editorMarkerNavigationInfo.background',
+  'editorMarkerNavigationError.headerBackground', 'editorMarkerNavigationWarning.headerBackground',
+  'editorMarkerNavigationInfo.headerBackground',
+  // peek view
+  'peekView.border', 'peekViewEditor.background', 'peekViewEditorGutter.background',
+  'peekViewEditor.matchHighlightBackground', 'peekViewEditor.matchHighlightBorder', 'peekViewEditorStickyScroll.background',
+  'peekViewResult.background', 'peekViewResult.fileForeground', 'peekViewResult.lineForeground',
+  'peekViewResult.matchHighlightBackground', 'peekViewResult.selectionBackground', 'peekViewResult.selectionForeground',
+  'peekViewTitle.background', 'peekViewTitleDescription.foreground', 'peekViewTitleLabel.foreground',
+  // merge conflicts
+  'merge.currentHeaderBackground', 'merge.currentContentBackground', 'merge.incomingHeaderBackground',
+  'merge.incomingContentBackground', 'merge.border', 'merge.commonContentBackground', 'merge.commonHeaderBackground',
+  'editorOverviewRuler.currentContentForeground', 'editorOverviewRuler.incomingContentForeground',
+  'editorOverviewRuler.commonContentForeground',
+  'mergeEditor.change.background', 'mergeEditor.change.word.background', 'mergeEditor.changeBase.background',
+  'mergeEditor.changeBase.word.background', 'mergeEditor.conflict.unhandledUnfocused.border',
+  'mergeEditor.conflict.unhandledFocused.border', 'mergeEditor.conflict.handledUnfocused.border',
+  'mergeEditor.conflict.handledFocused.border', 'mergeEditor.conflict.handled.minimapOverViewRuler',
+  'mergeEditor.conflict.unhandled.minimapOverViewRuler', 'mergeEditor.conflictingLines.background',
+  'mergeEditor.conflict.input1.background', 'mergeEditor.conflict.input2.background',
+  // panel
+  'panel.background', 'panel.border', 'panel.dropBorder', 'panelTitle.activeBorder', 'panelTitle.activeForeground',
+  'panelTitle.inactiveForeground', 'panelTitle.border', 'panelTitleBadge.background', 'panelTitleBadge.foreground',
+  'panelInput.border', 'panelSection.border', 'panelSection.dropBackground', 'panelSectionHeader.background',
+  'panelSectionHeader.foreground', 'panelSectionHeader.border', 'outputView.background', 'outputViewStickyScroll.background',
+  // status bar
+  'statusBar.background', 'statusBar.foreground', 'statusBar.border', 'statusBar.debuggingBackground',
+  'statusBar.debuggingForeground', 'statusBar.debuggingBorder', 'statusBar.noFolderForeground',
+  'statusBar.noFolderBackground', 'statusBar.noFolderBorder', 'statusBar.focusBorder',
+  'statusBarItem.activeBackground', 'statusBarItem.focusBorder', 'statusBarItem.hoverBackground',
+  'statusBarItem.hoverForeground', 'statusBarItem.compactHoverBackground',
+  'statusBarItem.prominentForeground', 'statusBarItem.prominentBackground', 'statusBarItem.prominentHoverForeground',
+  'statusBarItem.prominentHoverBackground', 'statusBarItem.remoteBackground', 'statusBarItem.remoteForeground',
+  'statusBarItem.remoteHoverBackground', 'statusBarItem.remoteHoverForeground',
+  'statusBarItem.errorBackground', 'statusBarItem.errorForeground', 'statusBarItem.errorHoverBackground',
+  'statusBarItem.errorHoverForeground', 'statusBarItem.warningBackground', 'statusBarItem.warningForeground',
+  'statusBarItem.warningHoverBackground', 'statusBarItem.warningHoverForeground',
+  'statusBarItem.offlineBackground', 'statusBarItem.offlineForeground', 'statusBarItem.offlineHoverForeground',
+  'statusBarItem.offlineHoverBackground',
+  // title bar
+  'titleBar.activeBackground', 'titleBar.activeForeground', 'titleBar.inactiveBackground',
+  'titleBar.inactiveForeground', 'titleBar.border',
+  // menus
+  'menubar.selectionForeground', 'menubar.selectionBackground', 'menubar.selectionBorder',
+  'menu.foreground', 'menu.background', 'menu.selectionForeground', 'menu.selectionBackground',
+  'menu.selectionBorder', 'menu.separatorBackground', 'menu.border',
+  // command center
+  'commandCenter.foreground', 'commandCenter.activeForeground', 'commandCenter.background',
+  'commandCenter.activeBackground', 'commandCenter.border', 'commandCenter.inactiveForeground',
+  'commandCenter.inactiveBorder', 'commandCenter.activeBorder', 'commandCenter.debuggingBackground',
+  // notifications and banner
+  'notificationCenter.border', 'notificationCenterHeader.foreground', 'notificationCenterHeader.background',
+  'notificationToast.border', 'notifications.foreground', 'notifications.background', 'notifications.border',
+  'notificationLink.foreground', 'notificationsErrorIcon.foreground', 'notificationsWarningIcon.foreground',
+  'notificationsInfoIcon.foreground',
+  'banner.background', 'banner.foreground', 'banner.iconForeground',
+  // extensions
+  'extensionButton.prominentForeground', 'extensionButton.prominentBackground',
+  'extensionButton.prominentHoverBackground', 'extensionButton.background', 'extensionButton.foreground',
+  'extensionButton.hoverBackground', 'extensionButton.separator', 'extensionBadge.remoteBackground',
+  'extensionBadge.remoteForeground', 'extensionIcon.starForeground', 'extensionIcon.verifiedForeground',
+  'extensionIcon.preReleaseForeground', 'extensionIcon.sponsorForeground',
+  // quick picker
+  'pickerGroup.border', 'pickerGroup.foreground', 'quickInput.background', 'quickInput.foreground',
+  'quickInputList.focusBackground', 'quickInputList.focusForeground', 'quickInputList.focusIconForeground',
+  'quickInputTitle.background',
+  // keybindings
+  'keybindingLabel.background', 'keybindingLabel.foreground', 'keybindingLabel.border', 'keybindingLabel.bottomBorder',
+  'keybindingTable.headerBackground', 'keybindingTable.rowsBackground',
+  // integrated terminal
+  'terminal.background', 'terminal.border', 'terminal.foreground',
+  'terminal.ansiBlack', 'terminal.ansiRed', 'terminal.ansiGreen', 'terminal.ansiYellow',
+  'terminal.ansiBlue', 'terminal.ansiMagenta', 'terminal.ansiCyan', 'terminal.ansiWhite',
+  'terminal.ansiBrightBlack', 'terminal.ansiBrightRed', 'terminal.ansiBrightGreen', 'terminal.ansiBrightYellow',
+  'terminal.ansiBrightBlue', 'terminal.ansiBrightMagenta', 'terminal.ansiBrightCyan', 'terminal.ansiBrightWhite',
+  'terminal.selectionBackground', 'terminal.selectionForeground', 'terminal.inactiveSelectionBackground',
+  'terminal.findMatchBackground', 'terminal.findMatchBorder', 'terminal.findMatchHighlightBackground',
+  'terminal.findMatchHighlightBorder', 'terminal.hoverHighlightBackground', 'terminal.dropBackground',
+  'terminal.tab.activeBorder', 'terminal.initialHintForeground',
+  'terminalCursor.background', 'terminalCursor.foreground',
+  'terminalCommandDecoration.defaultBackground', 'terminalCommandDecoration.successBackground',
+  'terminalCommandDecoration.errorBackground', 'terminalCommandGuide.foreground',
+  'terminalOverviewRuler.border', 'terminalOverviewRuler.cursorForeground', 'terminalOverviewRuler.findMatchForeground',
+  'terminalStickyScroll.background', 'terminalStickyScroll.border', 'terminalStickyScrollHover.background',
+  // debug
+  'debugToolBar.background', 'debugToolBar.border', 'editor.stackFrameHighlightBackground',
+  'editor.focusedStackFrameHighlightBackground', 'editor.inlineValuesForeground', 'editor.inlineValuesBackground',
+  'debugView.exceptionLabelForeground', 'debugView.exceptionLabelBackground', 'debugView.stateLabelForeground',
+  'debugView.stateLabelBackground', 'debugView.valueChangedHighlight',
+  'debugTokenExpression.name', 'debugTokenExpression.value', 'debugTokenExpression.string',
+  'debugTokenExpression.boolean', 'debugTokenExpression.number', 'debugTokenExpression.error', 'debugTokenExpression.type',
+  'debugIcon.breakpointForeground', 'debugIcon.breakpointDisabledForeground', 'debugIcon.breakpointUnverifiedForeground',
+  'debugIcon.breakpointCurrentStackframeForeground', 'debugIcon.breakpointStackframeForeground',
+  'debugIcon.startForeground', 'debugIcon.pauseForeground', 'debugIcon.stopForeground', 'debugIcon.disconnectForeground',
+  'debugIcon.restartForeground', 'debugIcon.stepOverForeground', 'debugIcon.stepIntoForeground',
+  'debugIcon.stepOutForeground', 'debugIcon.continueForeground', 'debugIcon.stepBackForeground',
+  'debugConsole.infoForeground', 'debugConsole.warningForeground', 'debugConsole.errorForeground',
+  'debugConsole.sourceForeground', 'debugConsoleInputIcon.foreground',
+  // testing
+  'testing.runAction', 'testing.iconErrored', 'testing.iconFailed', 'testing.iconPassed', 'testing.iconQueued',
+  'testing.iconUnset', 'testing.iconSkipped', 'testing.iconErrored.retired', 'testing.iconFailed.retired',
+  'testing.iconPassed.retired', 'testing.iconQueued.retired', 'testing.iconUnset.retired', 'testing.iconSkipped.retired',
+  'testing.peekBorder', 'testing.peekHeaderBackground', 'testing.messagePeekBorder', 'testing.messagePeekHeaderBackground',
+  'testing.message.error.badgeBackground', 'testing.message.error.badgeBorder', 'testing.message.error.badgeForeground',
+  'testing.message.info.decorationForeground', 'testing.message.info.lineBackground',
+  'testing.coveredBackground', 'testing.coveredBorder', 'testing.coveredGutterBackground',
+  'testing.uncoveredBranchBackground', 'testing.uncoveredBackground', 'testing.uncoveredBorder',
+  'testing.uncoveredGutterBackground', 'testing.coverCountBadgeBackground', 'testing.coverCountBadgeForeground',
+  // welcome page
+  'welcomePage.background', 'welcomePage.progress.background', 'welcomePage.progress.foreground',
+  'welcomePage.tileBackground', 'welcomePage.tileHoverBackground', 'welcomePage.tileBorder',
+  'walkThrough.embeddedEditorBackground', 'walkthrough.stepTitle.foreground',
+  // git decorations and source control graph
+  'gitDecoration.addedResourceForeground', 'gitDecoration.modifiedResourceForeground',
+  'gitDecoration.deletedResourceForeground', 'gitDecoration.renamedResourceForeground',
+  'gitDecoration.stageModifiedResourceForeground', 'gitDecoration.stageDeletedResourceForeground',
+  'gitDecoration.untrackedResourceForeground', 'gitDecoration.ignoredResourceForeground',
+  'gitDecoration.conflictingResourceForeground', 'gitDecoration.submoduleResourceForeground',
+  ...series('scmGraph.foreground', 5), 'scmGraph.historyItemHoverLabelForeground',
+  'scmGraph.historyItemHoverAdditionsForeground', 'scmGraph.historyItemHoverDeletionsForeground',
+  'scmGraph.historyItemRefColor', 'scmGraph.historyItemRemoteRefColor', 'scmGraph.historyItemBaseRefColor',
+  'scmGraph.historyItemHoverDefaultLabelForeground', 'scmGraph.historyItemHoverDefaultLabelBackground',
+  // settings editor
+  'settings.headerForeground', 'settings.modifiedItemIndicator', 'settings.dropdownBackground',
+  'settings.dropdownForeground', 'settings.dropdownBorder', 'settings.dropdownListBorder',
+  'settings.checkboxBackground', 'settings.checkboxForeground', 'settings.checkboxBorder',
+  'settings.rowHoverBackground', 'settings.textInputBackground', 'settings.textInputForeground',
+  'settings.textInputBorder', 'settings.numberInputBackground', 'settings.numberInputForeground',
+  'settings.numberInputBorder', 'settings.focusedRowBackground', 'settings.focusedRowBorder',
+  'settings.headerBorder', 'settings.sashBorder', 'settings.settingsHeaderHoverForeground',
+  // breadcrumbs
+  'breadcrumb.foreground', 'breadcrumb.background', 'breadcrumb.focusForeground',
+  'breadcrumb.activeSelectionForeground', 'breadcrumbPicker.background',
+  // snippets
+  'editor.snippetTabstopHighlightBackground', 'editor.snippetTabstopHighlightBorder',
+  'editor.snippetFinalTabstopHighlightBackground', 'editor.snippetFinalTabstopHighlightBorder',
+  // symbol icons
+  ...['array', 'boolean', 'class', 'color', 'constant', 'constructor', 'enumerator', 'enumeratorMember', 'event',
+    'field', 'file', 'folder', 'function', 'interface', 'key', 'keyword', 'method', 'module', 'namespace', 'null',
+    'number', 'object', 'operator', 'package', 'property', 'reference', 'snippet', 'string', 'struct', 'text',
+    'typeParameter', 'unit', 'variable'].map((k) => `symbolIcon.${k}Foreground`),
+  // notebooks
+  'notebook.editorBackground', 'notebook.cellBorderColor', 'notebook.cellHoverBackground',
+  'notebook.cellInsertionIndicator', 'notebook.cellStatusBarItemHoverBackground', 'notebook.cellToolbarSeparator',
+  'notebook.cellEditorBackground', 'notebook.focusedCellBackground', 'notebook.focusedCellBorder',
+  'notebook.focusedEditorBorder', 'notebook.inactiveFocusedCellBorder', 'notebook.inactiveSelectedCellBorder',
+  'notebook.outputContainerBackgroundColor', 'notebook.outputContainerBorderColor', 'notebook.selectedCellBackground',
+  'notebook.selectedCellBorder', 'notebook.symbolHighlightBackground',
+  'notebookScrollbarSlider.activeBackground', 'notebookScrollbarSlider.background', 'notebookScrollbarSlider.hoverBackground',
+  'notebookStatusErrorIcon.foreground', 'notebookStatusRunningIcon.foreground', 'notebookStatusSuccessIcon.foreground',
+  'notebookEditorOverviewRuler.runningCellForeground',
+  // charts
+  'charts.foreground', 'charts.lines', 'charts.red', 'charts.blue', 'charts.yellow', 'charts.orange',
+  'charts.green', 'charts.purple', 'chart.line', 'chart.axis', 'chart.guide',
+  // misc views
+  'ports.iconRunningProcessForeground', 'commentsView.resolvedIcon', 'commentsView.unresolvedIcon',
+  'simpleFindWidget.sashBorder',
+  'gauge.background', 'gauge.foreground', 'gauge.border', 'gauge.warningBackground', 'gauge.warningForeground',
+  'gauge.errorBackground', 'gauge.errorForeground',
+];
+
+// Share of registry keys present in a theme's colors map
+export function coverage(colors) {
+  const missing = WORKBENCH_COLOR_KEYS.filter((k) => !(k in colors));
+  const total = WORKBENCH_COLOR_KEYS.length;
+  const covered = total - missing.length;
+  return { covered, total, percent: (covered / total) * 100, missing };
+}
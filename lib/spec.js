@@ -0,0 +1,122 @@
+import fs from 'fs';
+import { normalizeHex, alpha } from './color.js';
+
+// Declarative theme spec, compiled by scripts/build.js into themes/<slug>.json.
+//
+//   {
+//     "version": 1,
+//     "name": "Electric Lime",
+//     "type": "dark",                      // dark | light | hc-black | hc-light
+//     "space": "hsl",                      // optional: hsl | oklch
+//     "contrast": "AA",                    // optional: AA | AAA | <ratio>
+//     "seeds": { "primary": "#32cd32", "secondary": "#...", "tertiary": "#..." },
+//     "roles": {                           // optional, applied in order after derivation
+//       "bg0": "#101214",                  // literal hex
+//       "lineNumber": "muted",             // another role
+//       "syntax.comment": { "from": "muted", "shade": [-0.1, 0] },
+//       "ansi.blue": { "from": "accent", "spin": 15 }
+//     },
+//     "overrides": { "editor.background": "#0d0f12" }  // optional, final colors win verbatim
+//   }
+//
+// Derivation ops use the spec's shading space: shade dl | [dl, ds] (-1..1),
+// tone l | [l, sMax] (0..1), spin degrees (-360..360), alpha 0..1. Roles name palette entries, with dots into syntax/ansi.
+
+export const SPEC_VERSION = 1;
+const HEX = /^#?([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+// op -> [min, max] per argument; shade and tone also take a bare number for the first
+const OPS = {
+  shade: [[-1, 1], [-1, 1]],
+  tone: [[0, 1], [0, 1]],
+  spin: [[-360, 360]],
+  alpha: [[0, 1]],
+};
+
+function hex(value, where) {
+  if (typeof value !== 'string' || !HEX.test(value.trim())) throw new Error(`${where}: expected a hex color, got ${JSON.stringify(value)}`);
+  return normalizeHex(value);
+}
+
+function checkOp(op, value, where) {
+  const ranges = OPS[op];
+  const args = Array.isArray(value) && ranges.length > 1 ? value : [value];
+  const ok = args.length >= 1 && args.length <= ranges.length
+    && args.every((v, i) => typeof v === 'number' && Number.isFinite(v) && v >= ranges[i][0] && v <= ranges[i][1]);
+  if (!ok) {
+    const expected = ranges.map(([min, max]) => `${min}..${max}`).join(', ');
+    throw new Error(`${where}.${op}: expected ${ranges.length > 1 ? `a number or [${expected}]` : `a number in ${expected}`}, got ${JSON.stringify(value)}`);
+  }
+}
+
+export function parseSpec(obj, source = 'spec') {
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) throw new Error(`${source}: expected a JSON object`);
+  if (obj.version !== SPEC_VERSION) throw new Error(`${source}: unsupported spec version ${JSON.stringify(obj.version)}; expected ${SPEC_VERSION}`);
+  if (typeof obj.name !== 'string' || !obj.name.trim()) throw new Error(`${source}: "name" is required`);
+  const seeds = obj.seeds || {};
+  if (!seeds.primary) throw new Error(`${source}: "seeds.primary" is required`);
+  const spec = {
+    version: obj.version,
+    name: obj.name,
+    type: obj.type || 'dark',
+    space: obj.space || 'hsl',
+    contrast: obj.contrast,
+    seeds: {},
+    roles: obj.roles || {},
+    overrides: {},
+  };
+  for (const key of ['primary', 'secondary', 'tertiary']) {
+    if (seeds[key] !== undefined) spec.seeds[key] = hex(seeds[key], `${source}: seeds.${key}`);
+  }
+  for (const [role, rule] of Object.entries(spec.roles)) {
+    if (typeof rule === 'string') continue;
+    if (!rule || typeof rule !== 'object' || typeof rule.from !== 'string') {
+      throw new Error(`${source}: roles.${role} must be a hex, a role name, or { "from": <role>, ...ops }`);
+    }
+    const unknown = Object.keys(rule).filter((k) => k !== 'from' && !Object.hasOwn(OPS, k));
+    if (unknown.length) throw new Error(`${source}: roles.${role} has unknown ops ${unknown.join(', ')}; expected ${Object.keys(OPS).join(', ')}`);
+    for (const op of Object.keys(OPS)) if (rule[op] !== undefined) checkOp(op, rule[op], `${source}: roles.${role}`);
+  }
+  for (const [key, value] of Object.entries(obj.overrides || {})) spec.overrides[key] = hex(value, `${source}: overrides.${key}`);
+  return spec;
+}
+
+export function loadSpec(file) {
+  let obj;
+  try {
+    obj = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`${file}: ${e.message}`);
+  }
+  return parseSpec(obj, file);
+}
+
+function getRole(p, name) {
+  const value = name.split('.').reduce((o, k) => (o == null ? undefined : o[k]), p);
+  if (typeof value !== 'string') throw new Error(`Unknown role: ${name}`);
+  return value;
+}
+
+function setRole(p, name, value) {
+  const path = name.split('.');
+  const last = path.pop();
+  const parent = path.reduce((o, k) => (o == null ? undefined : o[k]), p);
+  if (!parent || typeof parent[last] !== 'string') throw new Error(`Unknown role: ${name}`);
+  parent[last] = value;
+}
+
+// Applies spec roles to a derived palette in place; `shade`/`tone`/`spin` come from SHADING[space]
+export function applyRoles(p, roles, { shade, tone, spin }) {
+  for (const [name, rule] of Object.entries(roles || {})) {
+    if (typeof rule === 'string') {
+      setRole(p, name, HEX.test(rule.trim()) ? normalizeHex(rule) : getRole(p, rule));
+      continue;
+    }
+    let c = getRole(p, rule.from);
+    if (rule.shade !== undefined) c = shade(c, ...[].concat(rule.shade));
+    if (rule.tone !== undefined) c = tone(c, ...[].concat(rule.tone));
+    if (rule.spin !== undefined) c = spin(c, rule.spin);
+    if (rule.alpha !== undefined) c = alpha(c, rule.alpha);
+    setRole(p, name, c);
+  }
+  return p;
+}
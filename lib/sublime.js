@@ -0,0 +1,116 @@
+import crypto from 'crypto';
+import { plist } from './plist.js';
+import { isLightTheme, slugify } from './theme.js';
+
+// Sublime Text color schemes from a generated theme: .sublime-color-scheme (JSON,
+// Sublime Text 3.1+) and the legacy .tmTheme plist (older Sublime, TextMate, bat).
+// Token rules carry over scope for scope; globals come from the editor colors.
+
+// Sublime global -> VS Code workbench color
+const GLOBALS = {
+  background: 'editor.background',
+  foreground: 'editor.foreground',
+  caret: 'editorCursor.foreground',
+  line_highlight: 'editor.lineHighlightBackground',
+  selection: 'editor.selectionBackground',
+  selection_foreground: 'editor.selectionForeground',
+  inactive_selection: 'editor.inactiveSelectionBackground',
+  gutter: 'editorGutter.background',
+  gutter_foreground: 'editorLineNumber.foreground',
+  gutter_foreground_highlight: 'editorLineNumber.activeForeground',
+  invisibles: 'editorWhitespace.foreground',
+  guide: 'editorIndentGuide.background1',
+  active_guide: 'editorIndentGuide.activeBackground1',
+  rulers: 'editorRuler.foreground',
+  find_highlight: 'editor.findMatchBackground',
+  highlight: 'editor.findMatchHighlightBackground',
+  brackets_foreground: 'editorBracketMatch.border',
+  misspelling: 'editorError.foreground',
+  shadow: 'widget.shadow',
+  line_diff_added: 'editorGutter.addedBackground',
+  line_diff_modified: 'editorGutter.modifiedBackground',
+  line_diff_deleted: 'editorGutter.deletedBackground',
+  accent: 'focusBorder',
+};
+
+// .tmTheme names for the subset of globals TextMate understands
+const TM_GLOBALS = {
+  background: 'background',
+  foreground: 'foreground',
+  caret: 'caret',
+  lineHighlight: 'line_highlight',
+  selection: 'selection',
+  selectionForeground: 'selection_foreground',
+  inactiveSelection: 'inactive_selection',
+  gutter: 'gutter',
+  gutterForeground: 'gutter_foreground',
+  invisibles: 'invisibles',
+  guide: 'guide',
+  activeGuide: 'active_guide',
+  findHighlight: 'find_highlight',
+  highlight: 'highlight',
+  bracketsForeground: 'brackets_foreground',
+  shadow: 'shadow',
+};
+
+// Sublime drops font styles it does not know; strikethrough is VS Code only
+const FONT_STYLES = ['bold', 'italic', 'underline'];
+
+function globals(theme) {
+  const out = {};
+  for (const [key, color] of Object.entries(GLOBALS)) {
+    if (theme.colors[color]) out[key] = theme.colors[color];
+  }
+  return out;
+}
+
+function scopes(rule) {
+  return Array.isArray(rule.scope) ? rule.scope.join(', ') : rule.scope;
+}
+
+// Stable per-name UUID (the .tmTheme format requires one)
+function uuid(name) {
+  const h = crypto.createHash('sha1').update(`vscode-theme-generator:${name}`).digest('hex');
+  const variant = ((parseInt(h[16], 16) & 3) | 8).toString(16);
+  return `${h.slice(0, 8)}-${h.slice(8, 12)}-5${h.slice(13, 16)}-${variant}${h.slice(17, 20)}-${h.slice(20, 32)}`.toUpperCase();
+}
+
+export function sublimeColorScheme(theme) {
+  return {
+    name: theme.name,
+    author: 'vscode-theme-generator',
+    variables: {},
+    globals: globals(theme),
+    rules: theme.tokenColors.filter((rule) => rule.scope).map((rule) => {
+      const { foreground, background, fontStyle } = rule.settings;
+      const fontStyles = (fontStyle || '').split(/\s+/).filter((s) => FONT_STYLES.includes(s));
+      return {
+        name: rule.name,
+        scope: scopes(rule),
+        foreground,
+        background,
+        font_style: fontStyle === undefined ? undefined : fontStyles.join(' '),
+      };
+    }),
+  };
+}
+
+export function tmTheme(theme) {
+  const g = globals(theme);
+  const settings = {};
+  for (const [key, from] of Object.entries(TM_GLOBALS)) if (g[from]) settings[key] = g[from];
+  return plist({
+    name: theme.name,
+    uuid: uuid(theme.name),
+    colorSpaceName: 'sRGB',
+    semanticClass: `theme.${isLightTheme(theme) ? 'light' : 'dark'}.${slugify(theme.name)}`,
+    settings: [
+      { settings },
+      ...theme.tokenColors.filter((rule) => rule.scope).map((rule) => ({
+        name: rule.name,
+        scope: scopes(rule),
+        settings: rule.settings,
+      })),
+    ],
+  });
+}
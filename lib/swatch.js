@@ -0,0 +1,135 @@
+import { flatten, normalizeHex } from './color.js';
+import { LEVELS, contrastRatio } from './contrast.js';
+import { xmlEscape } from './plist.js';
+
+// SVG swatch card for a theme: every palette role with its hex and the contrast ratio
+// of the foreground it is paired with, the ANSI colors and a token-colored code sample.
+// Takes the theme and palette buildTheme (lib/theme.js) returns; written next to
+// themes/<slug>.json so READMEs and PRs can embed it.
+// - A surface role pairs with the text the theme draws on it, when the theme paints
+//   that background with the role unchanged (SURFACES: [background key, text key])
+// - Every other role is ink, paired with the editor background it is read on
+// - Translucent roles are measured flattened over the editor background
+
+const SURFACES = {
+  accent: ['button.background', 'button.foreground'],
+  bg0: ['editor.background', 'editor.foreground'],
+  bg1: ['sideBar.background', 'sideBar.foreground'],
+  bg2: ['titleBar.activeBackground', 'titleBar.activeForeground'],
+  secondaryDark: ['statusBar.background', 'statusBar.foreground'],
+  tertiary: ['activityBarBadge.background', 'activityBarBadge.foreground'],
+  lineHighlight: ['editor.lineHighlightBackground', 'editor.foreground'],
+  selection: ['editor.selectionBackground', 'editor.foreground'],
+  inactiveSelection: ['editor.inactiveSelectionBackground', 'editor.foreground'],
+  listSelection: ['list.activeSelectionBackground', 'list.activeSelectionForeground'],
+};
+// palette entries that are not colors a theme shows on their own
+const SKIP = ['space', 'overlay', 'syntax', 'ansi'];
+
+const COLUMNS = 4;
+const CELL = { w: 170, h: 78, gap: 10 };
+const PAD = 24;
+const WIDTH = PAD * 2 + COLUMNS * CELL.w + (COLUMNS - 1) * CELL.gap;
+const FONT = 'Menlo, Consolas, &quot;DejaVu Sans Mono&quot;, monospace';
+
+// Strongest WCAG level a ratio meets, for the label next to it
+function grade(ratio) {
+  const level = ['AAA', 'AA', 'AA-large'].find((l) => ratio >= LEVELS[l]);
+  return level || 'fail';
+}
+
+// [{ name, hex, fg, bg }]: the role is `bg` for surfaces and `fg` for ink
+function swatches(theme, palette) {
+  const c = theme.colors;
+  const base = c['editor.background'];
+  const roles = Object.entries(palette).filter(([name, hex]) => !SKIP.includes(name) && typeof hex === 'string');
+  const entries = [
+    ...roles.map(([name, hex]) => [name, normalizeHex(hex)]),
+    ...Object.entries(palette.syntax).map(([name, hex]) => [`syntax.${name}`, normalizeHex(hex)]),
+  ];
+  return entries.map(([name, hex]) => {
+    const shown = flatten(hex, base);
+    const [bgKey, fgKey] = SURFACES[name] || [];
+    return bgKey && c[bgKey] === hex && c[fgKey]
+      ? { name, hex, fg: flatten(c[fgKey], shown), bg: shown }
+      : { name, hex, fg: shown, bg: base };
+  });
+}
+
+function text(x, y, content, { size = 12, fill, weight, anchor } = {}) {
+  const attrs = [
+    `x="${x}"`, `y="${y}"`, `font-size="${size}"`,
+    fill && `fill="${fill}"`,
+    weight && `font-weight="${weight}"`,
+    anchor && `text-anchor="${anchor}"`,
+  ].filter(Boolean).join(' ');
+  return `<text ${attrs}>${content}</text>`;
+}
+
+function cell(s, x, y, ink, muted) {
+  const ratio = contrastRatio(s.fg, s.bg);
+  return [
+    `<g transform="translate(${x} ${y})">`,
+    `  <rect width="${CELL.w}" height="40" rx="4" fill="${s.bg}" stroke="${muted}" stroke-opacity="0.35"/>`,
+    `  ${text(12, 26, 'Aa', { size: 16, fill: s.fg, weight: 'bold' })}`,
+    `  ${text(CELL.w - 10, 25, `${ratio.toFixed(2)}:1 ${grade(ratio)}`, { size: 11, fill: s.fg, anchor: 'end' })}`,
+    `  ${text(0, 56, xmlEscape(s.name), { fill: ink })}`,
+    `  ${text(0, 71, s.hex, { size: 11, fill: muted })}`,
+    '</g>',
+  ].join('\n');
+}
+
+// One code line as [syntax role or null, text] segments
+const SAMPLE = [
+  [['comment', '// Sum the sizes of every file']],
+  [['keyword', 'export'], [null, ' '], ['keyword', 'function'], [null, ' '], ['function', 'totalSize'], ['punctuation', '('], ['variable', 'paths'], ['punctuation', ': '], ['type', 'Entry'], ['punctuation', '[]) {']],
+  [[null, '  '], ['keyword', 'const'], [null, ' '], ['variable', 'label'], [null, ' '], ['punctuation', '='], [null, ' '], ['string', "'bytes'"], ['punctuation', ';']],
+  [[null, '  '], ['keyword', 'return'], [null, ' '], ['variable', 'paths'], ['punctuation', '.'], ['function', 'reduce'], ['punctuation', '(('], ['variable', 'n'], ['punctuation', ', '], ['variable', 'e'], ['punctuation', ') => '], ['variable', 'n'], ['punctuation', ' + '], ['variable', 'e'], ['punctuation', '.'], ['variable', 'size'], ['punctuation', ', '], ['number', '0'], ['punctuation', ');']],
+  [['punctuation', '}']],
+];
+
+function sample(palette, fg, y) {
+  const lines = SAMPLE.map((segments, i) => {
+    const spans = segments.map(([role, t]) => {
+      const fill = role ? normalizeHex(palette.syntax[role]) : fg;
+      const italic = role === 'comment' ? ' font-style="italic"' : '';
+      return `<tspan fill="${fill}"${italic}>${xmlEscape(t)}</tspan>`;
+    });
+    return `  <text x="${PAD + 14}" y="${y + 24 + i * 18}" font-size="12" xml:space="preserve">${spans.join('')}</text>`;
+  });
+  return lines.join('\n');
+}
+
+export function swatchCard(theme, palette) {
+  const c = theme.colors;
+  const bg = c['editor.background'];
+  const ink = c['editor.foreground'];
+  const muted = flatten(c['descriptionForeground'] || ink, bg);
+  const cells = swatches(theme, palette);
+  const rows = Math.ceil(cells.length / COLUMNS);
+  const gridTop = 64;
+  const ansiTop = gridTop + rows * (CELL.h + CELL.gap) + 12;
+  const ansiCell = (WIDTH - PAD * 2) / 8;
+  const sampleTop = ansiTop + 2 * 22 + 34;
+  const sampleHeight = SAMPLE.length * 18 + 20;
+  const height = sampleTop + sampleHeight + PAD;
+
+  const grid = cells.map((s, i) => cell(s, PAD + (i % COLUMNS) * (CELL.w + CELL.gap), gridTop + Math.floor(i / COLUMNS) * (CELL.h + CELL.gap), ink, muted));
+  const ansi = Object.entries(palette.ansi).map(([name, hex], i) => {
+    const x = PAD + (i % 8) * ansiCell, y = ansiTop + 20 + Math.floor(i / 8) * 22;
+    return `<rect x="${x}" y="${y}" width="${ansiCell - 4}" height="18" rx="3" fill="${normalizeHex(hex)}"><title>${name} ${normalizeHex(hex)}</title></rect>`;
+  });
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${height}" viewBox="0 0 ${WIDTH} ${height}" font-family="${FONT}">
+<rect width="${WIDTH}" height="${height}" rx="8" fill="${bg}"/>
+${text(PAD, 36, xmlEscape(theme.name), { size: 18, fill: ink, weight: 'bold' })}
+${text(WIDTH - PAD, 36, `${theme.type} · ${palette.space} · accent ${normalizeHex(palette.accent)}`, { fill: muted, anchor: 'end' })}
+${grid.join('\n')}
+${text(PAD, ansiTop + 12, 'terminal ANSI', { fill: ink })}
+${ansi.join('\n')}
+${text(PAD, sampleTop - 8, 'tokens', { fill: ink })}
+<rect x="${PAD}" y="${sampleTop}" width="${WIDTH - PAD * 2}" height="${sampleHeight}" rx="4" fill="${bg}" stroke="${muted}" stroke-opacity="0.35"/>
+${sample(palette, ink, sampleTop)}
+</svg>
+`;
+}
@@ -0,0 +1,53 @@
+import { hexToOklch, oklchToHex } from './oklch.js';
+
+// Harmony-based syntax roles. Each role is a hue rotation from the primary seed,
+// rendered at one shared OKLCH lightness/chroma so no role out-shouts the others.
+// Hues already claimed by seeds (keyword, and function/type when given) are
+// reserved first; every derived role, function and type included when their seed is
+// missing, then keeps at least MIN_HUE_GAP from all of them.
+
+export const MIN_HUE_GAP = 40;
+
+// Preferred rotation from the primary hue, in placement order
+export const HARMONY = { type: 210, string: 120, number: 60, function: 300 };
+
+const LEVELS = {
+  dark: { L: 0.82, C: 0.11, punctuation: 0.76, variable: 0.91 },
+  light: { L: 0.5, C: 0.14, punctuation: 0.48, variable: 0.3 },
+};
+
+export function hueDistance(a, b) {
+  const d = Math.abs(a - b) % 360;
+  return d > 180 ? 360 - d : d;
+}
+
+// Nearest hue to `want` that is at least MIN_HUE_GAP from every taken hue
+function placeHue(want, taken) {
+  for (let step = 0; step <= 180; step += 5) {
+    for (const h of [want + step, want - step]) {
+      const hue = (h + 360) % 360;
+      if (taken.every((t) => hueDistance(hue, t) >= MIN_HUE_GAP)) return hue;
+    }
+  }
+  return (want + 360) % 360;
+}
+
+// Returns { string, number, type, function, punctuation, variable }; `seeds` are normalized hexes
+export function deriveSyntax({ primary, secondary, tertiary }, type = 'dark') {
+  const { L, C, punctuation, variable } = LEVELS[type];
+  const { h: base, C: seedC } = hexToOklch(primary);
+  const taken = [base];
+  if (secondary) taken.push(hexToOklch(secondary).h);
+  if (tertiary) taken.push(hexToOklch(tertiary).h);
+  const out = {};
+  for (const [role, offset] of Object.entries(HARMONY)) {
+    if ((role === 'type' && tertiary) || (role === 'function' && secondary)) continue;
+    const h = placeHue(base + offset, taken);
+    taken.push(h);
+    out[role] = oklchToHex({ L, C, h });
+  }
+  // near-neutrals only borrow a tint; grey seeds stay grey
+  out.punctuation = oklchToHex({ L: punctuation, C: Math.min(0.02, seedC), h: base });
+  out.variable = oklchToHex({ L: variable, C: Math.min(0.01, seedC), h: base });
+  return out;
+}
@@ -0,0 +1,122 @@
+import { flatten, hexToRgb } from './color.js';
+import { ANSI_NAMES } from './ansi.js';
+import { plist } from './plist.js';
+
+// Standalone terminal emulators from a generated theme's terminal.* colors, so they
+// match the integrated terminal: Alacritty, Kitty, WezTerm, Windows Terminal, iTerm2.
+// None of them take alpha; translucent colors are flattened over terminal.background.
+
+const capitalize = (s) => s[0].toUpperCase() + s.slice(1);
+
+// { background, foreground, cursor, cursorText, selectionBackground, selectionForeground,
+//   normal: { black, ..., white }, bright: { black, ..., white } }, all opaque
+export function terminalColors(theme) {
+  const c = theme.colors;
+  const bg = flatten(c['terminal.background'] || c['editor.background'], c['editor.background']);
+  const color = (key, fallback) => flatten(c[key] || c[fallback], bg);
+  const ansi = (prefix) => Object.fromEntries(ANSI_NAMES.map((n) => [n, color(`terminal.ansi${prefix}${capitalize(n)}`)]));
+  return {
+    background: bg,
+    foreground: color('terminal.foreground', 'editor.foreground'),
+    cursor: color('terminalCursor.foreground', 'editorCursor.foreground'),
+    cursorText: bg,
+    selectionBackground: color('terminal.selectionBackground', 'editor.selectionBackground'),
+    selectionForeground: color('terminal.selectionForeground', 'editor.foreground'),
+    normal: ansi(''),
+    bright: ansi('Bright'),
+  };
+}
+
+const header = (comment, theme) => `${comment} ${theme.name}\n${comment} Generated by vscode-theme-generator from the VS Code theme; do not edit.\n`;
+
+export function alacrittyTheme(theme) {
+  const t = terminalColors(theme);
+  const table = (name, values) => `[colors.${name}]\n${Object.entries(values).map(([k, v]) => `${k} = "${v}"`).join('\n')}\n`;
+  return [
+    header('#', theme),
+    table('primary', { background: t.background, foreground: t.foreground }),
+    table('cursor', { text: t.cursorText, cursor: t.cursor }),
+    table('selection', { text: t.selectionForeground, background: t.selectionBackground }),
+    table('normal', t.normal),
+    table('bright', t.bright),
+  ].join('\n');
+}
+
+export function kittyTheme(theme) {
+  const t = terminalColors(theme);
+  const lines = [
+    `background ${t.background}`,
+    `foreground ${t.foreground}`,
+    `cursor ${t.cursor}`,
+    `cursor_text_color ${t.cursorText}`,
+    `selection_background ${t.selectionBackground}`,
+    `selection_foreground ${t.selectionForeground}`,
+    ...[...Object.values(t.normal), ...Object.values(t.bright)].map((hex, i) => `color${i} ${hex}`),
+  ];
+  return `${header('#', theme)}\n${lines.join('\n')}\n`;
+}
+
+// A color scheme table; load it with
+//   config.color_schemes = { ['<name>'] = dofile('<slug>.lua') }
+export function weztermTheme(theme) {
+  const t = terminalColors(theme);
+  const list = (colors) => `{ ${Object.values(colors).map((hex) => `'${hex}'`).join(', ')} }`;
+  return `${header('--', theme)}
+return {
+  foreground = '${t.foreground}',
+  background = '${t.background}',
+  cursor_bg = '${t.cursor}',
+  cursor_fg = '${t.cursorText}',
+  cursor_border = '${t.cursor}',
+  selection_fg = '${t.selectionForeground}',
+  selection_bg = '${t.selectionBackground}',
+  ansi = ${list(t.normal)},
+  brights = ${list(t.bright)},
+}
+`;
+}
+
+// An entry for the "schemes" array of Windows Terminal's settings.json, which calls magenta "purple"
+export function windowsTerminalScheme(theme) {
+  const t = terminalColors(theme);
+  const name = (n) => (n === 'magenta' ? 'purple' : n);
+  const scheme = {
+    name: theme.name,
+    background: t.background,
+    foreground: t.foreground,
+    cursorColor: t.cursor,
+    selectionBackground: t.selectionBackground,
+  };
+  for (const n of ANSI_NAMES) scheme[name(n)] = t.normal[n];
+  for (const n of ANSI_NAMES) scheme[`bright${capitalize(name(n))}`] = t.bright[n];
+  return scheme;
+}
+
+// sRGB component dictionary as iTerm2 exports them
+function itermColor(hex) {
+  const { r, g, b } = hexToRgb(hex);
+  const component = (v) => Math.round((v / 255) * 1e6) / 1e6;
+  return {
+    'Alpha Component': 1,
+    'Blue Component': component(b),
+    'Color Space': 'sRGB',
+    'Green Component': component(g),
+    'Red Component': component(r),
+  };
+}
+
+export function itermColors(theme) {
+  const t = terminalColors(theme);
+  const colors = {};
+  [...Object.values(t.normal), ...Object.values(t.bright)].forEach((hex, i) => { colors[`Ansi ${i} Color`] = itermColor(hex); });
+  Object.assign(colors, {
+    'Background Color': itermColor(t.background),
+    'Bold Color': itermColor(t.foreground),
+    'Cursor Color': itermColor(t.cursor),
+    'Cursor Text Color': itermColor(t.cursorText),
+    'Foreground Color': itermColor(t.foreground),
+    'Selected Text Color': itermColor(t.selectionForeground),
+    'Selection Color': itermColor(t.selectionBackground),
+  });
+  return plist(colors);
+}
@@ -0,0 +1,510 @@
+import { flatten, normalizeHex, shade, tone, spin } from './color.js';
+import { ensureContrast, ensurePair, readableText } from './contrast.js';
+import { shadeOklch, spinOklch, toneOklch } from './oklch.js';
+import { deriveSyntax } from './syntax.js';
+import { READABLE_ANSI, deriveAnsi } from './ansi.js';
+import { applyRoles } from './spec.js';
+import { workbenchColors } from './workbench.js';
+
+// Palette derivation and VS Code theme construction shared by scripts/build.js
+// and make-vscode-theme.js.
+// - Stable key order: name, type, semanticHighlighting, colors, tokenColors, semanticTokenColors
+// - tokenColors sorted by name, then scope length, then settings.foreground
+// - semanticTokenColors sorted by selector
+
+// Theme types: `type` goes into the theme JSON, `uiTheme` into contributes.themes.
+// `contrast` is the default target for every foreground/background pair in CONTRAST_PAIRS.
+export const THEME_TYPES = {
+  dark: { type: 'dark', uiTheme: 'vs-dark', contrast: 'AA' },
+  light: { type: 'light', uiTheme: 'vs', contrast: 'AA' },
+  'hc-black': { type: 'hcDark', uiTheme: 'hc-black', contrast: 'AAA' },
+  'hc-light': { type: 'hcLight', uiTheme: 'hc-light', contrast: 'AAA' },
+};
+
+// [foreground, background, surface] color keys that carry text. Translucent colors are
+// measured as drawn: the background over its surface (editor.background when not given),
+// the foreground over that.
+export const CONTRAST_PAIRS = [
+  ['titleBar.activeForeground', 'titleBar.activeBackground'],
+  ['titleBar.inactiveForeground', 'titleBar.inactiveBackground'],
+  ['activityBar.foreground', 'activityBar.background'],
+  ['activityBarBadge.foreground', 'activityBarBadge.background'],
+  ['statusBar.foreground', 'statusBar.background'],
+  ['tab.activeForeground', 'tab.activeBackground'],
+  ['tab.inactiveForeground', 'tab.inactiveBackground'],
+  ['editor.foreground', 'editor.background'],
+  ['editorLineNumber.foreground', 'editor.background'],
+  ['sideBar.foreground', 'sideBar.background'],
+  ['sideBarSectionHeader.foreground', 'sideBarSectionHeader.background'],
+  ['button.foreground', 'button.background'],
+  ['list.activeSelectionForeground', 'sideBar.background'],
+  ['terminal.foreground', 'terminal.background'],
+  ['editorWidget.foreground', 'editorWidget.background'],
+  ['editorSuggestWidget.foreground', 'editorSuggestWidget.background'],
+  ['editorHoverWidget.foreground', 'editorHoverWidget.background'],
+  ['input.foreground', 'input.background'],
+  ['dropdown.foreground', 'dropdown.background'],
+  ['badge.foreground', 'badge.background'],
+  ['menu.foreground', 'menu.background'],
+  ['menu.selectionForeground', 'menu.selectionBackground'],
+  ['notifications.foreground', 'notifications.background'],
+  ['notificationCenterHeader.foreground', 'notificationCenterHeader.background'],
+  ['quickInput.foreground', 'quickInput.background'],
+  ['peekViewTitleLabel.foreground', 'peekViewTitle.background'],
+  ['peekViewResult.fileForeground', 'peekViewResult.background'],
+  ['panelTitle.activeForeground', 'panel.background'],
+  ['panelTitleBadge.foreground', 'panelTitleBadge.background'],
+  ['panelSectionHeader.foreground', 'panelSectionHeader.background'],
+  ['button.secondaryForeground', 'button.secondaryBackground'],
+  ['extensionButton.prominentForeground', 'extensionButton.prominentBackground'],
+  ['extensionButton.foreground', 'extensionButton.background'],
+  ['extensionBadge.remoteForeground', 'extensionBadge.remoteBackground'],
+  ['profileBadge.foreground', 'profileBadge.background'],
+  ['activityErrorBadge.foreground', 'activityErrorBadge.background'],
+  ['activityWarningBadge.foreground', 'activityWarningBadge.background'],
+  ['statusBar.debuggingForeground', 'statusBar.debuggingBackground'],
+  ['statusBar.noFolderForeground', 'statusBar.noFolderBackground'],
+  ['statusBarItem.remoteForeground', 'statusBarItem.remoteBackground'],
+  ['statusBarItem.prominentForeground', 'statusBarItem.prominentBackground'],
+  ['statusBarItem.errorForeground', 'statusBarItem.errorBackground'],
+  ['statusBarItem.warningForeground', 'statusBarItem.warningBackground'],
+  ['statusBarItem.offlineForeground', 'statusBarItem.offlineBackground'],
+  ['banner.foreground', 'banner.background'],
+  ['debugView.exceptionLabelForeground', 'debugView.exceptionLabelBackground'],
+  ['testing.message.error.badgeForeground', 'testing.message.error.badgeBackground'],
+  ['testing.coverCountBadgeForeground', 'testing.coverCountBadgeBackground'],
+  ['breadcrumb.foreground', 'breadcrumb.background'],
+  ['sideBarTitle.foreground', 'sideBarTitle.background'],
+  ['editorActionList.foreground', 'editorActionList.background'],
+  ['inlineChat.foreground', 'inlineChat.background'],
+  ['activityBarTop.foreground', 'activityBarTop.background'],
+  ['tab.selectedForeground', 'tab.selectedBackground'],
+  ['tab.hoverForeground', 'tab.hoverBackground'],
+  ['tab.unfocusedActiveForeground', 'tab.unfocusedActiveBackground'],
+  ['tab.unfocusedInactiveForeground', 'tab.unfocusedInactiveBackground'],
+  ['tab.unfocusedHoverForeground', 'tab.unfocusedHoverBackground'],
+  ['editor.selectionForeground', 'editor.selectionBackground'],
+  ['editor.findMatchForeground', 'editor.findMatchBackground'],
+  ['editor.findMatchHighlightForeground', 'editor.findMatchHighlightBackground'],
+  ['editor.inlineValuesForeground', 'editor.inlineValuesBackground'],
+  ['editor.placeholder.foreground', 'editor.background'],
+  ['editorGhostText.foreground', 'editor.background'],
+  ['editorInlayHint.foreground', 'editorInlayHint.background'],
+  ['editorInlayHint.typeForeground', 'editorInlayHint.typeBackground'],
+  ['editorInlayHint.parameterForeground', 'editorInlayHint.parameterBackground'],
+  ['editorLink.activeForeground', 'editor.background'],
+  ['editorWatermark.foreground', 'editor.background'],
+  ['editorGroup.dropIntoPromptForeground', 'editorGroup.dropIntoPromptBackground'],
+  ['diffEditor.unchangedRegionForeground', 'diffEditor.unchangedRegionBackground'],
+  ['testing.message.info.decorationForeground', 'editor.background'],
+  ['textPreformat.foreground', 'textPreformat.background'],
+  ['list.focusForeground', 'list.focusBackground', 'sideBar.background'],
+  ['list.hoverForeground', 'list.hoverBackground', 'sideBar.background'],
+  ['list.inactiveSelectionForeground', 'list.inactiveSelectionBackground', 'sideBar.background'],
+  ['list.focusHighlightForeground', 'list.activeSelectionBackground', 'sideBar.background'],
+  ['debugView.stateLabelForeground', 'debugView.stateLabelBackground', 'sideBar.background'],
+  ['chat.slashCommandForeground', 'chat.slashCommandBackground', 'sideBar.background'],
+  ['quickInputList.focusForeground', 'quickInputList.focusBackground', 'quickInput.background'],
+  ['keybindingLabel.foreground', 'keybindingLabel.background', 'quickInput.background'],
+  ['editorSuggestWidget.selectedForeground', 'editorSuggestWidget.selectedBackground', 'editorSuggestWidget.background'],
+  ['editorSuggestWidget.focusHighlightForeground', 'editorSuggestWidget.selectedBackground', 'editorSuggestWidget.background'],
+  ['editorActionList.focusForeground', 'editorActionList.focusBackground', 'editorActionList.background'],
+  ['peekViewResult.selectionForeground', 'peekViewResult.selectionBackground', 'peekViewResult.background'],
+  ['inputOption.activeForeground', 'inputOption.activeBackground', 'input.background'],
+  ['commandCenter.foreground', 'commandCenter.background', 'titleBar.activeBackground'],
+  ['commandCenter.activeForeground', 'commandCenter.activeBackground', 'titleBar.activeBackground'],
+  ['menubar.selectionForeground', 'menubar.selectionBackground', 'titleBar.activeBackground'],
+  ['statusBarItem.hoverForeground', 'statusBarItem.hoverBackground', 'statusBar.background'],
+  ['statusBarItem.errorHoverForeground', 'statusBarItem.errorHoverBackground'],
+  ['statusBarItem.warningHoverForeground', 'statusBarItem.warningHoverBackground'],
+  ['statusBarItem.prominentHoverForeground', 'statusBarItem.prominentHoverBackground'],
+  ['statusBarItem.remoteHoverForeground', 'statusBarItem.remoteHoverBackground'],
+  ['statusBarItem.offlineHoverForeground', 'statusBarItem.offlineHoverBackground'],
+  ['terminal.selectionForeground', 'terminal.selectionBackground', 'terminal.background'],
+  ['terminal.initialHintForeground', 'terminal.background'],
+];
+
+// Light and hc-light themes, by the theme JSON's own "type"
+export function isLightTheme(theme) {
+  return theme.type === 'light' || theme.type === 'hcLight';
+}
+
+// { foreground, italic, bold } of a semantic token type in a generated theme; the
+// editor foreground for types the theme leaves unstyled
+export function tokenStyle(theme, selector) {
+  const rule = theme.semanticTokenColors && theme.semanticTokenColors[selector];
+  const style = typeof rule === 'string' ? { foreground: rule } : { ...rule };
+  return { ...style, foreground: style.foreground || theme.colors['editor.foreground'] };
+}
+
+export function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40) || 'theme';
+}
+
+// Hue-derived roles per shading space. HSL keeps the original deltas; OKLCH works in
+// perceived lightness, so backgrounds and selections are pinned to absolute L and
+// every hue lands at the same depth. `ink` is the seed as a text color on the editor
+// background. `shade`/`tone` are used for the smaller tweaks.
+export const SHADING = {
+  hsl: {
+    shade,
+    tone,
+    spin,
+    dark: (a) => ({
+      accentDim: shade(a, -0.1, -0.05),
+      accentDark: shade(a, -0.18, -0.05),
+      accentLight: shade(a, +0.2, -0.2),
+      bg1: shade(a, -0.36, -0.55),
+      bg2: shade(a, -0.3, -0.6),
+      selection: shade(a, +0.1, -0.3) + '80',
+      inactiveSelection: shade(a, +0.15, -0.4) + '55',
+      listSelection: shade(a, -0.05) + '66',
+      ink: a,
+    }),
+    light: (a) => ({
+      accentDim: shade(a, -0.1, -0.05),
+      accentDark: shade(a, -0.18, -0.05),
+      accentLight: shade(a, +0.2, -0.2),
+      bg1: tone(a, 0.95, 0.25),
+      bg2: tone(a, 0.9, 0.3),
+      selection: tone(a, 0.75, 0.6) + '66',
+      inactiveSelection: tone(a, 0.85, 0.4) + '55',
+      listSelection: tone(a, 0.8, 0.6) + '80',
+      ink: tone(a, 0.3),
+    }),
+  },
+  oklch: {
+    shade: shadeOklch,
+    tone: toneOklch,
+    spin: spinOklch,
+    dark: (a) => ({
+      accentDim: shadeOklch(a, -0.08, -0.05),
+      accentDark: shadeOklch(a, -0.16, -0.05),
+      accentLight: shadeOklch(a, +0.12, -0.2),
+      bg1: toneOklch(a, 0.22, 0.08),
+      bg2: toneOklch(a, 0.26, 0.08),
+      selection: toneOklch(a, 0.5, 0.3) + '80',
+      inactiveSelection: toneOklch(a, 0.45, 0.15) + '55',
+      listSelection: toneOklch(a, 0.42, 0.3) + '66',
+      ink: a,
+    }),
+    light: (a) => ({
+      accentDim: shadeOklch(a, -0.08, -0.05),
+      accentDark: shadeOklch(a, -0.16, -0.05),
+      accentLight: shadeOklch(a, +0.12, -0.2),
+      bg1: toneOklch(a, 0.97, 0.04),
+      bg2: toneOklch(a, 0.93, 0.06),
+      selection: toneOklch(a, 0.85, 0.3) + '66',
+      inactiveSelection: toneOklch(a, 0.9, 0.2) + '55',
+      listSelection: toneOklch(a, 0.88, 0.3) + '80',
+      ink: toneOklch(a, 0.45),
+    }),
+  },
+};
+
+// Palette roles for up to three seeds ({ primary, secondary, tertiary } or a primary hex).
+// Primary drives surfaces, keywords, cursor and selections; secondary takes buttons,
+// the status bar and functions; tertiary takes badges and types. Missing seeds fall
+// back to the single-accent roles. Light keeps the seed hues but flips the neutrals.
+export function derivePalette(seeds, type = 'dark', space = 'hsl') {
+  if (!SHADING[space]) throw new Error(`Unknown shading space: ${space}`);
+  if (typeof seeds === 'string') seeds = { primary: seeds };
+  if (type === 'hc-black' || type === 'hc-light') return deriveHighContrast(seeds, type, space);
+  const { shade } = SHADING[space];
+  const derive = SHADING[space][type];
+  const accent = normalizeHex(seeds.primary);
+  const secondary = seeds.secondary && normalizeHex(seeds.secondary);
+  const tertiary = seeds.tertiary && normalizeHex(seeds.tertiary);
+  const r = derive(accent);
+  const r2 = secondary && derive(secondary);
+  const r3 = tertiary && derive(tertiary);
+  const { accentDim, accentDark, accentLight, bg1, bg2 } = r;
+  const harmony = deriveSyntax({ primary: accent, secondary, tertiary }, type);
+  const seedRoles = {
+    secondary: secondary || accent,
+    secondaryDark: r2 ? r2.accentDark : accentDark,
+    tertiary: tertiary || accent,
+  };
+  if (type === 'light') {
+    const muted = '#6a737d';
+    return {
+      space,
+      accent, accentDim, accentDark, accentLight,
+      ...seedRoles,
+      bg0: '#fafafa',
+      bg1,
+      bg2,
+      fg0: '#1f2328',
+      muted,
+      lineNumber: shade(muted, +0.2),
+      // black overlays read on white where the dark theme uses white ones
+      overlay: '#000000',
+      lineHighlight: '#0000000a',
+      selection: r.selection,
+      inactiveSelection: r.inactiveSelection,
+      listSelection: r.listSelection,
+      syntax: {
+        comment: muted,
+        keyword: r.ink,
+        function: r2 ? r2.ink : harmony.function,
+        variable: harmony.variable,
+        string: harmony.string,
+        number: harmony.number,
+        type: r3 ? r3.ink : harmony.type,
+        punctuation: harmony.punctuation,
+      },
+      ansi: deriveAnsi(accent, type),
+    };
+  }
+  const muted = '#9aa3ad';
+  return {
+    space,
+    accent, accentDim, accentDark, accentLight,
+    ...seedRoles,
+    bg0: '#0f1115',
+    bg1,
+    bg2,
+    fg0: '#e6e6e6',
+    muted,
+    lineNumber: shade(muted, -0.2),
+    overlay: '#ffffff',
+    lineHighlight: '#00000040',
+    selection: r.selection,
+    inactiveSelection: r.inactiveSelection,
+    listSelection: r.listSelection,
+    syntax: {
+      comment: muted,
+      keyword: r.ink,
+      function: r2 ? r2.ink : harmony.function,
+      variable: harmony.variable,
+      string: harmony.string,
+      number: harmony.number,
+      type: r3 ? r3.ink : harmony.type,
+      punctuation: harmony.punctuation,
+    },
+    ansi: deriveAnsi(accent, type),
+  };
+}
+
+// High contrast: flat black/white surfaces separated by borders, accents pushed to 7:1.
+// Base and syntax colors come from the dark/light palette; makeTheme enforces the ratios.
+function deriveHighContrast(seeds, type, space) {
+  const base = derivePalette(seeds, type === 'hc-black' ? 'dark' : 'light', space);
+  const bg = type === 'hc-black' ? '#000000' : '#ffffff';
+  const ink = ensureContrast(base.accent, bg, 'AAA');
+  const border = ink;
+  const activeBorder = ensureContrast(spin(base.accent, 180), bg, 'AAA');
+  return {
+    ...base,
+    accent: ink,
+    accentDim: activeBorder,
+    accentDark: bg,
+    accentLight: ensureContrast(base.accentLight, bg, 'AAA'),
+    secondary: ensureContrast(base.secondary, bg, 'AAA'),
+    secondaryDark: bg,
+    tertiary: ensureContrast(base.tertiary, bg, 'AAA'),
+    bg0: bg,
+    bg1: bg,
+    bg2: bg,
+    fg0: type === 'hc-black' ? '#ffffff' : '#000000',
+    muted: type === 'hc-black' ? '#c0c0c0' : '#4a4a4a',
+    lineNumber: type === 'hc-black' ? '#c0c0c0' : '#4a4a4a',
+    lineHighlight: '#00000000',
+    selection: ink + '40',
+    inactiveSelection: ink + '25',
+    listSelection: ink + '40',
+    syntax: { ...base.syntax, keyword: ink, comment: type === 'hc-black' ? '#c0c0c0' : '#4a4a4a' },
+    border,
+    activeBorder,
+  };
+}
+
+// Map palette roles to VS Code colors. `roles` rewrites palette roles before mapping
+// (see lib/spec.js); `overrides` replaces final color keys verbatim, after the contrast pass.
+export function makeTheme(options) {
+  return buildTheme(options).theme;
+}
+
+// makeTheme plus the palette it was mapped from, with syntax roles as the theme uses them
+// (after the contrast pass), for exports that want role names rather than color keys
+export function buildTheme({ name, accent, secondary, tertiary, type = 'dark', contrast, space = 'hsl', roles, overrides }) {
+  if (!THEME_TYPES[type]) throw new Error(`Unknown theme type: ${type}`);
+  const level = contrast || THEME_TYPES[type].contrast;
+  const p = applyRoles(derivePalette({ primary: accent, secondary, tertiary }, type, space), roles, SHADING[space]);
+  const { shade } = SHADING[space];
+  const { accentDim, bg0, bg1, bg2, fg0, muted, overlay, syntax, ansi } = p;
+  // ANSI text colors meet the target on the terminal background before anything derives from them
+  const family = type === 'light' || type === 'hc-light' ? 'light' : 'dark';
+  for (const name of READABLE_ANSI[family]) ansi[name] = ensureContrast(ansi[name], bg0, level);
+  // every registry key gets a derived default; the core map below wins on overlap
+  const colors = {
+    ...workbenchColors(p, { shade, level }),
+    'titleBar.activeBackground': bg2,
+    'titleBar.activeForeground': readableText(bg2, level),
+    'titleBar.inactiveBackground': shade(bg2, -0.05),
+    'titleBar.inactiveForeground': readableText(shade(bg2, -0.05), level),
+    'activityBar.background': bg2,
+    'activityBar.foreground': readableText(bg2, level),
+    'activityBarBadge.background': p.tertiary,
+    'activityBarBadge.foreground': readableText(p.tertiary, level),
+    'statusBar.background': p.secondaryDark,
+    'statusBar.foreground': readableText(p.secondaryDark, level),
+    'tab.activeBackground': bg0,
+    'tab.activeForeground': fg0,
+    'tab.inactiveBackground': shade(bg0, -0.06),
+    'tab.inactiveForeground': muted,
+    'tab.hoverBackground': shade(bg0, +0.04),
+    'tab.border': shade(bg0, -0.1),
+    'editor.background': bg0,
+    'editor.foreground': fg0,
+    'editorLineNumber.foreground': p.lineNumber,
+    'editorCursor.foreground': p.accent,
+    'editor.selectionBackground': p.selection,
+    'editor.inactiveSelectionBackground': p.inactiveSelection,
+    'editor.lineHighlightBackground': p.lineHighlight,
+    'editor.wordHighlightBackground': overlay + '10',
+    'editor.wordHighlightStrongBackground': overlay + '15',
+    'sideBar.background': bg1,
+    'sideBar.foreground': fg0,
+    'sideBarSectionHeader.background': shade(bg1, -0.06),
+    'sideBarSectionHeader.foreground': fg0,
+    'panel.background': bg1,
+    'button.background': p.secondary,
+    'button.foreground': readableText(p.secondary, level),
+    'checkbox.border': accentDim,
+    'focusBorder': accentDim,
+    'list.activeSelectionBackground': p.listSelection,
+    'list.activeSelectionForeground': fg0,
+    'list.hoverBackground': overlay + '08',
+    'scrollbarSlider.background': overlay + '20',
+    'scrollbarSlider.hoverBackground': overlay + '30',
+    'scrollbarSlider.activeBackground': overlay + '40',
+    'terminal.background': bg0,
+    'terminal.foreground': fg0,
+    'terminalCursor.foreground': ensureContrast(p.accent, bg0, 'AA-large'),
+  };
+  for (const name of Object.keys(ansi)) colors[`terminal.ansi${name[0].toUpperCase()}${name.slice(1)}`] = ansi[name];
+
+  // high contrast: outline everything the flat surfaces no longer separate
+  if (p.border) {
+    const { border, activeBorder } = p;
+    Object.assign(colors, {
+      'contrastBorder': border,
+      'contrastActiveBorder': activeBorder,
+      'activityBar.border': border,
+      'sideBar.border': border,
+      'panel.border': border,
+      'titleBar.border': border,
+      'statusBar.border': border,
+      'tab.border': border,
+      'tab.activeBorder': activeBorder,
+      'editorGroup.border': border,
+      'editorWidget.border': border,
+      'editorOverviewRuler.border': border,
+      'editor.lineHighlightBorder': border,
+      'editor.selectionHighlightBorder': activeBorder,
+      'editor.findMatchBorder': activeBorder,
+      'editor.findMatchHighlightBorder': border,
+      'editor.wordHighlightBorder': border,
+      'editor.wordHighlightStrongBorder': activeBorder,
+      'editor.rangeHighlightBorder': border,
+      'editorBracketMatch.border': activeBorder,
+      'button.border': border,
+      'input.border': border,
+      'dropdown.border': border,
+      'checkbox.border': border,
+      'list.focusOutline': activeBorder,
+      'list.inactiveFocusOutline': border,
+    });
+  }
+
+  // every text pair meets the target; backgrounds only move when no foreground can.
+  // A pair that already passes as drawn keeps its colors, alpha included.
+  for (const [fgKey, bgKey, surfaceKey = 'editor.background'] of CONTRAST_PAIRS) {
+    const under = flatten(colors[bgKey], flatten(colors[surfaceKey], colors['editor.background']));
+    const shown = flatten(colors[fgKey], under);
+    const { fg, bg } = ensurePair(shown, under, level);
+    if (fg !== shown) colors[fgKey] = fg;
+    if (bg !== under) colors[bgKey] = bg;
+  }
+  for (const key of Object.keys(syntax)) syntax[key] = ensureContrast(syntax[key], colors['editor.background'], level);
+  Object.assign(colors, overrides);
+
+  const tokenColors = [
+    { name: 'Comment', scope: ['comment', 'punctuation.definition.comment'], settings: { foreground: syntax.comment, fontStyle: 'italic' } },
+    { name: 'Keyword', scope: ['keyword', 'storage.type', 'storage.modifier'], settings: { foreground: syntax.keyword } },
+    { name: 'Function', scope: ['entity.name.function', 'support.function', 'meta.function-call'], settings: { foreground: syntax.function } },
+    { name: 'Variable', scope: ['variable', 'meta.definition.variable'], settings: { foreground: syntax.variable } },
+    { name: 'String', scope: ['string', 'constant.other.symbol'], settings: { foreground: syntax.string } },
+    { name: 'Number', scope: ['constant.numeric', 'constant.language', 'support.constant'], settings: { foreground: syntax.number } },
+    { name: 'Type', scope: ['entity.name.type', 'support.type', 'storage.type.class'], settings: { foreground: syntax.type } },
+    { name: 'Punctuation', scope: ['punctuation', 'meta.brace', 'meta.delimiter'], settings: { foreground: syntax.punctuation } },
+  ].map(rule => ({
+    ...rule,
+    settings: { ...rule.settings, foreground: rule.settings.foreground ? normalizeHex(rule.settings.foreground) : undefined },
+  }));
+
+  // sort tokenColors: by name, then scope length, then settings.foreground
+  tokenColors.sort((a, b) => {
+    const n = (a.name || '').localeCompare(b.name || '');
+    if (n) return n;
+    const s = (a.scope?.length || 0) - (b.scope?.length || 0);
+    if (s) return s;
+    return ((a.settings?.foreground || '')).localeCompare((b.settings?.foreground || ''));
+  });
+
+  // semantic tokens (TypeScript, Rust, Go, ...) reuse the TextMate roles;
+  // modifiers only add styling so they compose with any token type
+  const semanticRules = {
+    'namespace': syntax.type,
+    'class': syntax.type,
+    'interface': syntax.type,
+    'enum': syntax.type,
+    'struct': syntax.type,
+    'type': syntax.type,
+    'typeParameter': { foreground: syntax.type, italic: true },
+    'function': syntax.function,
+    'method': syntax.function,
+    'macro': syntax.function,
+    'decorator': syntax.function,
+    'variable': syntax.variable,
+    'parameter': { foreground: syntax.variable, italic: true },
+    'property': syntax.variable,
+    'enumMember': syntax.number,
+    'keyword': syntax.keyword,
+    'modifier': syntax.keyword,
+    'label': syntax.keyword,
+    'string': syntax.string,
+    'regexp': syntax.string,
+    'number': syntax.number,
+    'operator': syntax.punctuation,
+    'comment': { foreground: syntax.comment, italic: true },
+    '*.declaration': { bold: true },
+    '*.readonly': syntax.number,
+    '*.static': { italic: true },
+    '*.deprecated': { strikethrough: true },
+  };
+  const semanticTokenColors = {};
+  for (const k of Object.keys(semanticRules).sort()) {
+    const rule = semanticRules[k];
+    semanticTokenColors[k] = typeof rule === 'string'
+      ? normalizeHex(rule)
+      : { ...rule, ...(rule.foreground && { foreground: normalizeHex(rule.foreground) }) };
+  }
+
+  // stable colors object order (alphabetical keys)
+  const sortedColorKeys = Object.keys(colors).sort();
+  const sortedColors = {};
+  for (const k of sortedColorKeys) sortedColors[k] = normalizeHex(colors[k]);
+
+  // top-level stable order
+  const theme = {
+    name,
+    type: THEME_TYPES[type].type,
+    semanticHighlighting: true,
+    colors: sortedColors,
+    tokenColors,
+    semanticTokenColors,
+  };
+  return { theme, palette: p };
+}
@@ -0,0 +1,223 @@
+import { flatten } from './color.js';
+import { isLightTheme, slugify } from './theme.js';
+import { terminalColors } from './terminal.js';
+
+// Neovim (Lua) and Vim (Vimscript) colorschemes from a generated theme. Syntax groups
+// take the tokenColors roles, Treesitter captures link to those groups, and the UI
+// groups come from the matching workbench colors. Vim has no alpha, so translucent
+// colors are flattened over the surface they sit on; Vim needs 'termguicolors' in a
+// terminal since only gui colors are set.
+
+// tokenColors rule names -> role, for the rules makeTheme emits
+function roles(theme) {
+  const out = {};
+  for (const rule of theme.tokenColors) if (rule.name) out[rule.name.toLowerCase()] = rule.settings;
+  return out;
+}
+
+// [group, { fg, bg, sp, bold, italic, underline, undercurl, reverse }] or [group, { link }]
+function highlights(theme) {
+  const c = theme.colors;
+  const editor = c['editor.background'];
+  const on = (surface) => (key) => (c[key] ? flatten(c[key], flatten(c[surface], editor)) : undefined);
+  const ed = on('editor.background');
+  const r = roles(theme);
+  const role = (name) => {
+    const { foreground, fontStyle = '' } = r[name] || {};
+    return {
+      fg: foreground ? flatten(foreground, editor) : ed('editor.foreground'),
+      italic: fontStyle.includes('italic') || undefined,
+      bold: fontStyle.includes('bold') || undefined,
+    };
+  };
+  const menu = on('sideBar.background'); // the surface VS Code's list colors are drawn on
+  const float = on('editorWidget.background');
+
+  return [
+    // editor
+    ['Normal', { fg: ed('editor.foreground'), bg: ed('editor.background') }],
+    ['NormalNC', { link: 'Normal' }],
+    ['NormalFloat', { fg: float('editorWidget.foreground'), bg: ed('editorWidget.background') }],
+    ['FloatBorder', { fg: float('editorWidget.border'), bg: ed('editorWidget.background') }],
+    ['Cursor', { fg: ed('editor.background'), bg: ed('editorCursor.foreground') }],
+    ['CursorLine', { bg: ed('editor.lineHighlightBackground') }],
+    ['CursorColumn', { link: 'CursorLine' }],
+    ['ColorColumn', { bg: ed('editorRuler.foreground') }],
+    ['LineNr', { fg: ed('editorLineNumber.foreground'), bg: ed('editorGutter.background') }],
+    ['CursorLineNr', { fg: ed('editorLineNumber.activeForeground'), bg: ed('editor.lineHighlightBackground'), bold: true }],
+    ['SignColumn', { bg: ed('editorGutter.background') }],
+    ['Folded', { fg: ed('descriptionForeground'), bg: ed('editor.foldBackground') }],
+    ['FoldColumn', { link: 'SignColumn' }],
+    ['Visual', { bg: ed('editor.selectionBackground') }],
+    ['VisualNOS', { bg: ed('editor.inactiveSelectionBackground') }],
+    ['Search', { bg: ed('editor.findMatchHighlightBackground') }],
+    ['IncSearch', { bg: ed('editor.findMatchBackground') }],
+    ['CurSearch', { link: 'IncSearch' }],
+    ['MatchParen', { bg: ed('editorBracketMatch.background'), bold: true }],
+    ['NonText', { fg: ed('editorWhitespace.foreground') }],
+    ['Whitespace', { link: 'NonText' }],
+    ['SpecialKey', { link: 'NonText' }],
+    ['EndOfBuffer', { fg: ed('editor.background') }],
+    ['WinSeparator', { fg: ed('editorGroup.border') }],
+    ['VertSplit', { link: 'WinSeparator' }],
+    ['Directory', { fg: ed('textLink.foreground') }],
+    ['Title', { fg: ed('textLink.foreground'), bold: true }],
+    ['ErrorMsg', { fg: ed('editorError.foreground') }],
+    ['WarningMsg', { fg: ed('editorWarning.foreground') }],
+    ['MoreMsg', { fg: ed('editorInfo.foreground') }],
+    ['Question', { link: 'MoreMsg' }],
+    // status and tab lines
+    ['StatusLine', { fg: on('statusBar.background')('statusBar.foreground'), bg: ed('statusBar.background') }],
+    ['StatusLineNC', { fg: ed('tab.inactiveForeground'), bg: ed('editorGroupHeader.tabsBackground') }],
+    ['WinBar', { fg: ed('editor.foreground'), bg: ed('editor.background'), bold: true }],
+    ['TabLine', { fg: ed('tab.inactiveForeground'), bg: ed('tab.inactiveBackground') }],
+    ['TabLineSel', { fg: ed('tab.activeForeground'), bg: ed('tab.activeBackground'), bold: true }],
+    ['TabLineFill', { bg: ed('editorGroupHeader.tabsBackground') }],
+    // completion menu
+    ['Pmenu', { fg: menu('sideBar.foreground'), bg: ed('sideBar.background') }],
+    ['PmenuSel', { fg: menu('list.activeSelectionForeground'), bg: menu('list.activeSelectionBackground'), bold: true }],
+    ['PmenuSbar', { bg: ed('sideBar.background') }],
+    ['PmenuThumb', { bg: menu('scrollbarSlider.activeBackground') }],
+    ['PmenuMatch', { fg: menu('list.highlightForeground'), bold: true }],
+    ['WildMenu', { link: 'PmenuSel' }],
+    // diffs and diagnostics
+    ['DiffAdd', { bg: ed('diffEditor.insertedLineBackground') }],
+    ['DiffDelete', { bg: ed('diffEditor.removedLineBackground') }],
+    ['DiffChange', { bg: ed('editor.inactiveSelectionBackground') }],
+    ['DiffText', { bg: ed('diffEditor.insertedTextBackground') }],
+    ['Added', { fg: ed('editorGutter.addedBackground') }],
+    ['Changed', { fg: ed('editorGutter.modifiedBackground') }],
+    ['Removed', { fg: ed('editorGutter.deletedBackground') }],
+    ['DiagnosticError', { fg: ed('editorError.foreground') }],
+    ['DiagnosticWarn', { fg: ed('editorWarning.foreground') }],
+    ['DiagnosticInfo', { fg: ed('editorInfo.foreground') }],
+    ['DiagnosticHint', { fg: ed('editorHint.foreground') }],
+    ['DiagnosticUnderlineError', { sp: ed('editorError.foreground'), undercurl: true }],
+    ['DiagnosticUnderlineWarn', { sp: ed('editorWarning.foreground'), undercurl: true }],
+    ['DiagnosticUnderlineInfo', { sp: ed('editorInfo.foreground'), undercurl: true }],
+    ['DiagnosticUnderlineHint', { sp: ed('editorHint.foreground'), undercurl: true }],
+    ['SpellBad', { sp: ed('editorError.foreground'), undercurl: true }],
+    ['SpellCap', { sp: ed('editorWarning.foreground'), undercurl: true }],
+    // syntax
+    ['Comment', role('comment')],
+    ['Keyword', role('keyword')],
+    ['Statement', { link: 'Keyword' }],
+    ['Conditional', { link: 'Keyword' }],
+    ['Repeat', { link: 'Keyword' }],
+    ['Exception', { link: 'Keyword' }],
+    ['StorageClass', { link: 'Keyword' }],
+    ['PreProc', { link: 'Keyword' }],
+    ['Include', { link: 'Keyword' }],
+    ['Function', role('function')],
+    ['String', role('string')],
+    ['Character', { link: 'String' }],
+    ['Number', role('number')],
+    ['Float', { link: 'Number' }],
+    ['Boolean', { link: 'Number' }],
+    ['Constant', { link: 'Number' }],
+    ['Type', role('type')],
+    ['Structure', { link: 'Type' }],
+    ['Typedef', { link: 'Type' }],
+    ['Identifier', role('variable')],
+    ['Delimiter', role('punctuation')],
+    ['Operator', { link: 'Delimiter' }],
+    ['Special', { link: 'Delimiter' }],
+    ['SpecialChar', { link: 'String' }],
+    ['Todo', { fg: ed('editorInfo.foreground'), bold: true }],
+    ['Error', { fg: ed('editorError.foreground') }],
+    ['Underlined', { underline: true }],
+    // Treesitter captures
+    ['@comment', { link: 'Comment' }],
+    ['@keyword', { link: 'Keyword' }],
+    ['@keyword.function', { link: 'Keyword' }],
+    ['@keyword.return', { link: 'Keyword' }],
+    ['@keyword.operator', { link: 'Keyword' }],
+    ['@function', { link: 'Function' }],
+    ['@function.call', { link: 'Function' }],
+    ['@function.builtin', { link: 'Function' }],
+    ['@function.method', { link: 'Function' }],
+    ['@function.method.call', { link: 'Function' }],
+    ['@constructor', { link: 'Type' }],
+    ['@string', { link: 'String' }],
+    ['@string.escape', { link: 'SpecialChar' }],
+    ['@string.regexp', { link: 'String' }],
+    ['@character', { link: 'String' }],
+    ['@number', { link: 'Number' }],
+    ['@number.float', { link: 'Number' }],
+    ['@boolean', { link: 'Number' }],
+    ['@constant', { link: 'Constant' }],
+    ['@constant.builtin', { link: 'Constant' }],
+    ['@type', { link: 'Type' }],
+    ['@type.builtin', { link: 'Type' }],
+    ['@type.definition', { link: 'Type' }],
+    ['@module', { link: 'Type' }],
+    ['@variable', { link: 'Identifier' }],
+    ['@variable.parameter', { link: 'Identifier' }],
+    ['@variable.member', { link: 'Identifier' }],
+    ['@property', { link: 'Identifier' }],
+    ['@attribute', { link: 'Function' }],
+    ['@tag', { link: 'Keyword' }],
+    ['@tag.attribute', { link: 'Identifier' }],
+    ['@punctuation', { link: 'Delimiter' }],
+    ['@punctuation.bracket', { link: 'Delimiter' }],
+    ['@punctuation.delimiter', { link: 'Delimiter' }],
+    ['@operator', { link: 'Operator' }],
+  ].map(([group, spec]) => [group, Object.fromEntries(Object.entries(spec).filter(([, v]) => v !== undefined))]);
+}
+
+function header(comment, theme) {
+  return `${comment} ${theme.name}\n${comment} Generated by vscode-theme-generator from the VS Code theme; do not edit.\n`;
+}
+
+function luaTable(spec) {
+  return `{ ${Object.entries(spec).map(([k, v]) => `${k} = ${typeof v === 'string' ? `'${v}'` : v}`).join(', ')} }`;
+}
+
+export function neovimColorscheme(theme) {
+  const t = terminalColors(theme);
+  const ansi = [...Object.values(t.normal), ...Object.values(t.bright)];
+  return `${header('--', theme)}
+vim.cmd('highlight clear')
+if vim.fn.exists('syntax_on') == 1 then vim.cmd('syntax reset') end
+vim.o.background = '${isLightTheme(theme) ? 'light' : 'dark'}'
+vim.g.colors_name = '${slugify(theme.name)}'
+
+local hl = function(group, spec) vim.api.nvim_set_hl(0, group, spec) end
+${highlights(theme).map(([group, spec]) => `hl('${group}', ${luaTable(spec)})`).join('\n')}
+
+${ansi.map((hex, i) => `vim.g.terminal_color_${i} = '${hex}'`).join('\n')}
+`;
+}
+
+const VIM_ATTRS = ['bold', 'italic', 'underline', 'undercurl', 'reverse'];
+
+function vimHighlight(group, spec) {
+  if (spec.link) return `hi! link ${group} ${spec.link}`;
+  const attrs = VIM_ATTRS.filter((a) => spec[a]).join(',') || 'NONE';
+  return `hi ${group} guifg=${spec.fg || 'NONE'} guibg=${spec.bg || 'NONE'}${spec.sp ? ` guisp=${spec.sp}` : ''} gui=${attrs} cterm=${attrs}`;
+}
+
+// Treesitter captures only exist in Neovim, and Vim rejects '@' in group names
+export function vimColorscheme(theme) {
+  const groups = highlights(theme);
+  const t = terminalColors(theme);
+  const ansi = [...Object.values(t.normal), ...Object.values(t.bright)];
+  const plain = groups.filter(([group]) => !group.startsWith('@'));
+  const captures = groups.filter(([group]) => group.startsWith('@'));
+  return `${header('"', theme)}
+hi clear
+if exists('syntax_on')
+  syntax reset
+endif
+set background=${isLightTheme(theme) ? 'light' : 'dark'}
+let g:colors_name = '${slugify(theme.name)}'
+
+${plain.map(([group, spec]) => vimHighlight(group, spec)).join('\n')}
+
+if has('nvim')
+${captures.map(([group, spec]) => `  ${vimHighlight(group, spec)}`).join('\n')}
+endif
+
+let g:terminal_ansi_colors = [${ansi.map((hex) => `'${hex}'`).join(', ')}]
+`;
+}
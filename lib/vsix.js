@@ -0,0 +1,76 @@
+import { zip } from './zip.js';
+
+// .vsix layout: [Content_Types].xml and extension.vsixmanifest at the root, the
+// extension itself (package.json plus the files it references) under extension/.
+
+const CONTENT_TYPES = {
+  '.json': 'application/json',
+  '.md': 'text/markdown',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.txt': 'text/plain',
+  '.vsixmanifest': 'text/xml',
+};
+
+function xml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function extname(file) {
+  const m = /\.[^./]+$/.exec(file);
+  return m ? m[0].toLowerCase() : '';
+}
+
+export function contentTypesXml(paths) {
+  const exts = [...new Set(['.vsixmanifest', ...paths.map(extname)])].filter(Boolean).sort();
+  const defaults = exts.map((ext) => `<Default Extension="${ext}" ContentType="${CONTENT_TYPES[ext] || 'application/octet-stream'}"/>`);
+  return `<?xml version="1.0" encoding="utf-8"?>\n<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">${defaults.join('')}</Types>\n`;
+}
+
+export function vsixManifestXml(pkg) {
+  const engine = (pkg.engines && pkg.engines.vscode) || '*';
+  const categories = (pkg.categories || []).join(',');
+  return `<?xml version="1.0" encoding="utf-8"?>
+<PackageManifest Version="2.0.0" xmlns="http://schemas.microsoft.com/developer/vsx-schema/2011" xmlns:d="http://schemas.microsoft.com/developer/vsx-schema-design/2011">
+  <Metadata>
+    <Identity Language="en-US" Id="${xml(pkg.name)}" Version="${xml(pkg.version)}" Publisher="${xml(pkg.publisher)}" />
+    <DisplayName>${xml(pkg.displayName || pkg.name)}</DisplayName>
+    <Description xml:space="preserve">${xml(pkg.description || '')}</Description>
+    <Tags>theme,color-theme</Tags>
+    <Categories>${xml(categories)}</Categories>
+    <GalleryFlags>Public</GalleryFlags>
+    <Properties>
+      <Property Id="Microsoft.VisualStudio.Code.Engine" Value="${xml(engine)}" />
+      <Property Id="Microsoft.VisualStudio.Code.ExtensionDependencies" Value="" />
+      <Property Id="Microsoft.VisualStudio.Code.ExtensionPack" Value="" />
+      <Property Id="Microsoft.VisualStudio.Code.ExtensionKind" Value="ui,workspace" />
+      <Property Id="Microsoft.VisualStudio.Code.LocalizedLanguages" Value="" />
+    </Properties>
+  </Metadata>
+  <Installation>
+    <InstallationTarget Id="Microsoft.VisualStudio.Code" />
+  </Installation>
+  <Dependencies />
+  <Assets>
+    <Asset Type="Microsoft.VisualStudio.Code.Manifest" Path="extension/package.json" Addressable="true" />
+  </Assets>
+</PackageManifest>
+`;
+}
+
+// pkg: extension manifest object; files: [{ path, data }] relative to the extension root
+export function packageVsix(pkg, files) {
+  for (const key of ['name', 'version', 'publisher']) {
+    if (!pkg[key]) throw new Error(`package.json needs "${key}" to build a .vsix`);
+  }
+  const inner = [
+    { path: 'package.json', data: JSON.stringify(pkg, null, 2) + '\n' },
+    ...files.filter((f) => f.path !== 'package.json'),
+  ];
+  const paths = inner.map((f) => f.path);
+  return zip([
+    { name: '[Content_Types].xml', data: contentTypesXml(paths) },
+    { name: 'extension.vsixmanifest', data: vsixManifestXml(pkg) },
+    ...inner.map((f) => ({ name: `extension/${f.path.replace(/^\.\//, '')}`, data: f.data })),
+  ]);
+}
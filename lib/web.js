@@ -0,0 +1,42 @@
+import { normalizeHex } from './color.js';
+
+// Named palette roles for web tools: CSS custom properties (--theme-*), a SCSS map and
+// a Tailwind theme.extend.colors module, all with the same role names in kebab case.
+// Takes the palette buildTheme (lib/theme.js) returns, so the values match the theme.
+
+export const WEB_ROLES = ['accent', 'accentDim', 'accentDark', 'accentLight', 'bg0', 'bg1', 'bg2', 'fg0', 'muted'];
+
+const kebab = (s) => s.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`);
+
+// [[name, hex]] in a stable order: WEB_ROLES, then syntax-<role> in palette order
+export function webRoles(palette) {
+  return [
+    ...WEB_ROLES.filter((role) => palette[role]).map((role) => [kebab(role), normalizeHex(palette[role])]),
+    ...Object.entries(palette.syntax).map(([role, hex]) => [`syntax-${kebab(role)}`, normalizeHex(hex)]),
+  ];
+}
+
+const note = (name) => `${name}: generated by vscode-theme-generator from the theme's palette roles; do not edit.`;
+
+export function cssProperties(name, palette) {
+  const lines = webRoles(palette).map(([role, hex]) => `  --theme-${role}: ${hex};`);
+  return `/* ${note(name)} */\n:root {\n${lines.join('\n')}\n}\n`;
+}
+
+export function scssMap(name, palette) {
+  const lines = webRoles(palette).map(([role, hex]) => `  '${role}': ${hex},`);
+  return `// ${note(name)}\n$theme: (\n${lines.join('\n')}\n);\n`;
+}
+
+// CommonJS so tailwind.config.js can use it either way:
+//   theme: { extend: { colors: require('./<slug>.tailwind.cjs') } }
+// which gives classes like bg-theme-bg0 and text-theme-syntax-keyword
+export function tailwindColors(name, palette) {
+  const theme = {};
+  for (const [role, hex] of webRoles(palette)) {
+    const [group, sub] = role.startsWith('syntax-') ? ['syntax', role.slice(7)] : [role];
+    if (sub) theme[group] = { ...theme[group], [sub]: hex };
+    else theme[group] = hex;
+  }
+  return `// ${note(name)}\nmodule.exports = ${JSON.stringify({ theme }, null, 2)};\n`;
+}
@@ -0,0 +1,811 @@
+import { alpha } from './color.js';
+import { luminance, readableText } from './contrast.js';
+
+// Workbench colors beyond the core map in theme.js, derived from palette roles so
+// every id in lib/registry.js has a value. makeTheme layers its own map on top, so
+// keys set there (and the high-contrast borders) win over the defaults here.
+// Status colors come from the ANSI roles: red errors, yellow warnings, cyan info,
+// green success/added, magenta conflicts.
+export function workbenchColors(p, { shade, level }) {
+  const { accent, accentDim, accentLight, secondary, tertiary, bg0, bg1, bg2, fg0, muted, overlay, syntax, ansi } = p;
+  const hc = Boolean(p.border);
+  const light = overlay === '#000000';
+  const line = p.border || shade(bg0, -0.1);
+  const focus = p.activeBorder || accentDim;
+  const widget = hc ? bg0 : shade(bg1, light ? -0.02 : +0.02);
+  const input = hc ? bg0 : shade(bg0, light ? +0.02 : +0.04);
+  const hover = alpha(overlay, 0.06);
+  const shadow = hc ? '#00000000' : alpha('#000000', light ? 0.16 : 0.36);
+  const error = ansi.red, warning = ansi.yellow, info = ansi.cyan, success = ansi.green, conflict = ansi.magenta;
+  const solid = (c) => shade(c, light ? -0.05 : -0.18);
+  const errorBg = solid(error), warningBg = solid(warning);
+  const onAccent = readableText(accent, level);
+  const onSecondary = readableText(secondary, level);
+  const onTertiary = readableText(tertiary, level);
+  // status bar items hover away from their text: darker under light text, lighter under dark
+  const onStatus = readableText(p.secondaryDark, level);
+  const statusOverlay = luminance(onStatus) > 0.5 ? '#000000' : '#ffffff';
+  const lineNumberActive = fg0;
+  const indent = alpha(muted, 0.25), indentActive = alpha(muted, 0.6);
+  const brackets = [syntax.keyword, syntax.function, syntax.type, syntax.string, syntax.number, accentLight];
+
+  const colors = {
+    // base
+    'contrastBorder': p.border || '#00000000',
+    'contrastActiveBorder': p.activeBorder || '#00000000',
+    'focusBorder': focus,
+    'foreground': fg0,
+    'disabledForeground': alpha(muted, 0.6),
+    'widget.border': line,
+    'widget.shadow': shadow,
+    'selection.background': p.selection,
+    'descriptionForeground': muted,
+    'errorForeground': error,
+    'icon.foreground': fg0,
+    'sash.hoverBorder': focus,
+    'window.activeBorder': line,
+    'window.inactiveBorder': line,
+    // text
+    'textBlockQuote.background': bg1,
+    'textBlockQuote.border': accentDim,
+    'textCodeBlock.background': bg1,
+    'textLink.activeForeground': accentLight,
+    'textLink.foreground': syntax.keyword,
+    'textPreformat.foreground': syntax.string,
+    'textPreformat.background': bg1,
+    'textSeparator.foreground': line,
+    // actions
+    'toolbar.hoverBackground': hover,
+    'toolbar.hoverOutline': p.activeBorder || '#00000000',
+    'toolbar.activeBackground': alpha(overlay, 0.1),
+    'actionBar.toggledBackground': alpha(accent, 0.25),
+    'editorActionList.background': widget,
+    'editorActionList.foreground': fg0,
+    'editorActionList.focusForeground': fg0,
+    'editorActionList.focusBackground': p.listSelection,
+    // buttons, checkboxes, radios
+    'button.border': p.border || '#00000000',
+    'button.separator': alpha(onSecondary, 0.4),
+    'button.hoverBackground': shade(secondary, light ? -0.06 : +0.06),
+    'button.secondaryForeground': fg0,
+    'button.secondaryBackground': hc ? bg0 : bg2,
+    'button.secondaryHoverBackground': hc ? bg0 : shade(bg2, light ? -0.04 : +0.04),
+    'checkbox.background': input,
+    'checkbox.foreground': fg0,
+    'checkbox.border': accentDim,
+    'checkbox.selectBackground': widget,
+    'checkbox.selectBorder': focus,
+    'radio.activeForeground': onAccent,
+    'radio.activeBackground': accent,
+    'radio.activeBorder': focus,
+    'radio.inactiveForeground': fg0,
+    'radio.inactiveBackground': input,
+    'radio.inactiveBorder': line,
+    'radio.inactiveHoverBackground': hover,
+    // dropdowns and inputs
+    'dropdown.background': input,
+    'dropdown.listBackground': widget,
+    'dropdown.border': line,
+    'dropdown.foreground': fg0,
+    'input.background': input,
+    'input.border': line,
+    'input.foreground': fg0,
+    'input.placeholderForeground': muted,
+    'inputOption.activeBackground': alpha(accent, 0.3),
+    'inputOption.activeBorder': focus,
+    'inputOption.activeForeground': fg0,
+    'inputOption.hoverBackground': hover,
+    'inputValidation.errorBackground': hc ? bg0 : shade(errorBg, light ? +0.35 : -0.15),
+    'inputValidation.errorForeground': fg0,
+    'inputValidation.errorBorder': error,
+    'inputValidation.infoBackground': hc ? bg0 : shade(solid(info), light ? +0.35 : -0.15),
+    'inputValidation.infoForeground': fg0,
+    'inputValidation.infoBorder': info,
+    'inputValidation.warningBackground': hc ? bg0 : shade(warningBg, light ? +0.35 : -0.15),
+    'inputValidation.warningForeground': fg0,
+    'inputValidation.warningBorder': warning,
+    // scrollbars, badges, progress
+    'scrollbar.shadow': shadow,
+    'badge.foreground': onTertiary,
+    'badge.background': tertiary,
+    'progressBar.background': accent,
+    // lists and trees
+    'list.activeSelectionIconForeground': fg0,
+    'list.dropBackground': alpha(accent, 0.2),
+    'list.dropBetweenBackground': focus,
+    'list.focusBackground': alpha(accent, 0.2),
+    'list.focusForeground': fg0,
+    'list.focusHighlightForeground': accentLight,
+    'list.focusOutline': focus,
+    'list.focusAndSelectionOutline': focus,
+    'list.highlightForeground': syntax.keyword,
+    'list.hoverForeground': fg0,
+    'list.inactiveSelectionBackground': p.inactiveSelection,
+    'list.inactiveSelectionForeground': fg0,
+    'list.inactiveSelectionIconForeground': fg0,
+    'list.inactiveFocusBackground': alpha(accent, 0.12),
+    'list.inactiveFocusOutline': p.border || '#00000000',
+    'list.invalidItemForeground': error,
+    'list.errorForeground': error,
+    'list.warningForeground': warning,
+    'list.filterMatchBackground': alpha(accent, 0.25),
+    'list.filterMatchBorder': p.activeBorder || '#00000000',
+    'list.deemphasizedForeground': muted,
+    'listFilterWidget.background': widget,
+    'listFilterWidget.outline': focus,
+    'listFilterWidget.noMatchesOutline': error,
+    'listFilterWidget.shadow': shadow,
+    'tree.indentGuidesStroke': indentActive,
+    'tree.inactiveIndentGuidesStroke': indent,
+    'tree.tableColumnsBorder': alpha(muted, 0.25),
+    'tree.tableOddRowsBackground': alpha(overlay, 0.03),
+    // activity bar
+    'activityBar.dropBorder': focus,
+    'activityBar.inactiveForeground': muted,
+    'activityBar.border': p.border || bg2,
+    'activityBar.activeBorder': accent,
+    'activityBar.activeBackground': alpha(overlay, 0.06),
+    'activityBar.activeFocusBorder': focus,
+    'activityBarTop.foreground': fg0,
+    'activityBarTop.activeBorder': accent,
+    'activityBarTop.inactiveForeground': muted,
+    'activityBarTop.dropBorder': focus,
+    'activityBarTop.background': bg1,
+    'activityBarTop.activeBackground': alpha(overlay, 0.06),
+    'activityWarningBadge.foreground': readableText(warningBg, level),
+    'activityWarningBadge.background': warningBg,
+    'activityErrorBadge.foreground': readableText(errorBg, level),
+    'activityErrorBadge.background': errorBg,
+    'profileBadge.background': secondary,
+    'profileBadge.foreground': onSecondary,
+    'profiles.sashBorder': line,
+    // side bar
+    'sideBar.border': p.border || bg2,
+    'sideBar.dropBackground': alpha(accent, 0.15),
+    'sideBarTitle.foreground': fg0,
+    'sideBarTitle.background': bg1,
+    'sideBarSectionHeader.border': line,
+    'sideBarActivityBarTop.border': line,
+    'sideBarStickyScroll.background': bg1,
+    'sideBarStickyScroll.border': line,
+    'sideBarStickyScroll.shadow': shadow,
+    // minimap
+    'minimap.findMatchHighlight': alpha(accent, 0.7),
+    'minimap.selectionHighlight': alpha(accentLight, 0.5),
+    'minimap.errorHighlight': alpha(error, 0.7),
+    'minimap.warningHighlight': alpha(warning, 0.7),
+    'minimap.infoHighlight': alpha(info, 0.7),
+    'minimap.background': bg0,
+    'minimap.selectionOccurrenceHighlight': alpha(accentLight, 0.3),
+    'minimap.foregroundOpacity': '#000000e6',
+    'minimapSlider.background': alpha(overlay, 0.1),
+    'minimapSlider.hoverBackground': alpha(overlay, 0.16),
+    'minimapSlider.activeBackground': alpha(overlay, 0.22),
+    'minimapGutter.addedBackground': success,
+    'minimapGutter.modifiedBackground': warning,
+    'minimapGutter.deletedBackground': error,
+    // editor groups and tabs
+    'editorGroup.border': line,
+    'editorGroup.dropBackground': alpha(accent, 0.15),
+    'editorGroupHeader.noTabsBackground': bg0,
+    'editorGroupHeader.tabsBackground': shade(bg0, -0.06),
+    'editorGroupHeader.tabsBorder': line,
+    'editorGroupHeader.border': line,
+    'editorGroup.emptyBackground': bg0,
+    'editorGroup.focusedEmptyBorder': focus,
+    'editorGroup.dropIntoPromptForeground': fg0,
+    'editorGroup.dropIntoPromptBackground': widget,
+    'editorGroup.dropIntoPromptBorder': line,
+    'tab.unfocusedActiveBackground': bg0,
+    'tab.activeBorder': p.activeBorder || bg0,
+    'tab.selectedBorderTop': accent,
+    'tab.selectedBackground': bg0,
+    'tab.selectedForeground': fg0,
+    'tab.dragAndDropBorder': focus,
+    'tab.unfocusedActiveBorder': bg0,
+    'tab.activeBorderTop': accent,
+    'tab.unfocusedActiveBorderTop': accentDim,
+    'tab.lastPinnedBorder': line,
+    'tab.unfocusedInactiveBackground': shade(bg0, -0.06),
+    'tab.unfocusedActiveForeground': alpha(fg0, 0.8),
+    'tab.unfocusedInactiveForeground': alpha(muted, 0.8),
+    'tab.unfocusedHoverBackground': shade(bg0, +0.02),
+    'tab.hoverForeground': fg0,
+    'tab.unfocusedHoverForeground': muted,
+    'tab.hoverBorder': p.activeBorder || '#00000000',
+    'tab.unfocusedHoverBorder': '#00000000',
+    'tab.activeModifiedBorder': warning,
+    'tab.inactiveModifiedBorder': alpha(warning, 0.5),
+    'tab.unfocusedActiveModifiedBorder': alpha(warning, 0.5),
+    'tab.unfocusedInactiveModifiedBorder': alpha(warning, 0.3),
+    'editorPane.background': bg0,
+    'sideBySideEditor.horizontalBorder': line,
+    'sideBySideEditor.verticalBorder': line,
+    // editor
+    'editorLineNumber.activeForeground': lineNumberActive,
+    'editorLineNumber.dimmedForeground': alpha(p.lineNumber, 0.5),
+    'editorCursor.background': bg0,
+    'editorMultiCursor.primary.foreground': accent,
+    'editorMultiCursor.primary.background': bg0,
+    'editorMultiCursor.secondary.foreground': accentLight,
+    'editorMultiCursor.secondary.background': bg0,
+    'editor.placeholder.foreground': alpha(muted, 0.7),
+    'editor.compositionBorder': fg0,
+    'editor.selectionForeground': fg0,
+    'editor.selectionHighlightBackground': alpha(accentLight, 0.18),
+    'editor.selectionHighlightBorder': p.activeBorder || '#00000000',
+    'editor.wordHighlightBorder': p.border || '#00000000',
+    'editor.wordHighlightStrongBorder': p.activeBorder || '#00000000',
+    'editor.wordHighlightTextBackground': alpha(overlay, 0.08),
+    'editor.wordHighlightTextBorder': p.border || '#00000000',
+    'editor.findMatchBackground': alpha(tertiary, 0.45),
+    'editor.findMatchForeground': fg0,
+    'editor.findMatchHighlightForeground': fg0,
+    'editor.findMatchHighlightBackground': alpha(tertiary, 0.22),
+    'editor.findRangeHighlightBackground': alpha(accent, 0.1),
+    'editor.findMatchBorder': p.activeBorder || tertiary,
+    'editor.findMatchHighlightBorder': p.border || '#00000000',
+    'editor.findRangeHighlightBorder': p.border || '#00000000',
+    'search.resultsInfoForeground': muted,
+    'searchEditor.findMatchBackground': alpha(tertiary, 0.22),
+    'searchEditor.findMatchBorder': p.border || '#00000000',
+    'searchEditor.textInputBorder': line,
+    'editor.hoverHighlightBackground': alpha(accent, 0.15),
+    'editor.lineHighlightBorder': p.border || '#00000000',
+    'editorWatermark.foreground': alpha(muted, 0.6),
+    'editorUnicodeHighlight.border': warning,
+    'editorUnicodeHighlight.background': alpha(warning, 0.1),
+    'editorLink.activeForeground': accentLight,
+    'editor.rangeHighlightBackground': alpha(accent, 0.08),
+    'editor.rangeHighlightBorder': p.border || '#00000000',
+    'editor.symbolHighlightBackground': alpha(tertiary, 0.22),
+    'editor.symbolHighlightBorder': p.border || '#00000000',
+    'editorWhitespace.foreground': alpha(muted, 0.3),
+    'editorInlayHint.background': alpha(muted, 0.12),
+    'editorInlayHint.foreground': muted,
+    'editorInlayHint.typeForeground': muted,
+    'editorInlayHint.typeBackground': alpha(muted, 0.12),
+    'editorInlayHint.parameterForeground': muted,
+    'editorInlayHint.parameterBackground': alpha(muted, 0.12),
+    'editorRuler.foreground': alpha(muted, 0.2),
+    'editor.linkedEditingBackground': alpha(accent, 0.15),
+    'editorCodeLens.foreground': muted,
+    'editorLightBulb.foreground': warning,
+    'editorLightBulbAutoFix.foreground': accent,
+    'editorLightBulbAi.foreground': secondary,
+    'editorBracketMatch.background': alpha(accent, 0.15),
+    'editorBracketMatch.border': p.activeBorder || alpha(accent, 0.6),
+    'editorBracketHighlight.unexpectedBracket.foreground': error,
+    'editor.foldBackground': alpha(accent, 0.08),
+    'editor.foldPlaceholderForeground': muted,
+    'editorOverviewRuler.background': bg0,
+    'editorOverviewRuler.border': p.border || '#00000000',
+    'editorOverviewRuler.findMatchForeground': alpha(tertiary, 0.8),
+    'editorOverviewRuler.rangeHighlightForeground': alpha(accent, 0.4),
+    'editorOverviewRuler.selectionHighlightForeground': alpha(accentLight, 0.6),
+    'editorOverviewRuler.wordHighlightForeground': alpha(overlay, 0.3),
+    'editorOverviewRuler.wordHighlightStrongForeground': alpha(accent, 0.6),
+    'editorOverviewRuler.wordHighlightTextForeground': alpha(overlay, 0.2),
+    'editorOverviewRuler.modifiedForeground': alpha(warning, 0.7),
+    'editorOverviewRuler.addedForeground': alpha(success, 0.7),
+    'editorOverviewRuler.deletedForeground': alpha(error, 0.7),
+    'editorOverviewRuler.errorForeground': error,
+    'editorOverviewRuler.warningForeground': warning,
+    'editorOverviewRuler.infoForeground': info,
+    'editorOverviewRuler.bracketMatchForeground': alpha(accent, 0.6),
+    'editorError.foreground': error,
+    'editorError.border': '#00000000',
+    'editorError.background': '#00000000',
+    'editorWarning.foreground': warning,
+    'editorWarning.border': '#00000000',
+    'editorWarning.background': '#00000000',
+    'editorInfo.foreground': info,
+    'editorInfo.border': '#00000000',
+    'editorInfo.background': '#00000000',
+    'editorHint.foreground': alpha(success, 0.7),
+    'editorHint.border': '#00000000',
+    'problemsErrorIcon.foreground': error,
+    'problemsWarningIcon.foreground': warning,
+    'problemsInfoIcon.foreground': info,
+    'editorUnnecessaryCode.border': p.border || '#00000000',
+    'editorUnnecessaryCode.opacity': light ? '#00000077' : '#000000aa',
+    'editorGutter.background': bg0,
+    'editorGutter.modifiedBackground': warning,
+    'editorGutter.addedBackground': success,
+    'editorGutter.deletedBackground': error,
+    'editorGutter.commentRangeForeground': alpha(muted, 0.4),
+    'editorGutter.commentGlyphForeground': fg0,
+    'editorGutter.commentUnresolvedGlyphForeground': fg0,
+    'editorGutter.foldingControlForeground': muted,
+    'editorCommentsWidget.resolvedBorder': alpha(muted, 0.5),
+    'editorCommentsWidget.unresolvedBorder': accent,
+    'editorCommentsWidget.rangeBackground': alpha(accent, 0.1),
+    'editorCommentsWidget.rangeActiveBackground': alpha(accent, 0.2),
+    'editorCommentsWidget.replyInputBackground': input,
+    // diff editor
+    'diffEditor.insertedTextBackground': alpha(success, 0.2),
+    'diffEditor.insertedTextBorder': p.border ? success : '#00000000',
+    'diffEditor.removedTextBackground': alpha(error, 0.2),
+    'diffEditor.removedTextBorder': p.border ? error : '#00000000',
+    'diffEditor.border': line,
+    'diffEditor.diagonalFill': alpha(muted, 0.2),
+    'diffEditor.insertedLineBackground': alpha(success, 0.1),
+    'diffEditor.removedLineBackground': alpha(error, 0.1),
+    'diffEditorGutter.insertedLineBackground': alpha(success, 0.25),
+    'diffEditorGutter.removedLineBackground': alpha(error, 0.25),
+    'diffEditorOverview.insertedForeground': alpha(success, 0.6),
+    'diffEditorOverview.removedForeground': alpha(error, 0.6),
+    'diffEditor.unchangedRegionBackground': bg1,
+    'diffEditor.unchangedRegionForeground': muted,
+    'diffEditor.unchangedRegionShadow': shadow,
+    'diffEditor.unchangedCodeBackground': alpha(muted, 0.08),
+    'diffEditor.move.border': alpha(muted, 0.5),
+    'diffEditor.moveActive.border': accent,
+    'multiDiffEditor.headerBackground': bg1,
+    'multiDiffEditor.background': bg0,
+    'multiDiffEditor.border': line,
+    // chat
+    'chat.requestBorder': line,
+    'chat.requestBackground': alpha(bg1, 0.6),
+    'chat.slashCommandBackground': alpha(accent, 0.25),
+    'chat.slashCommandForeground': syntax.keyword,
+    'chat.avatarBackground': bg2,
+    'chat.avatarForeground': fg0,
+    'chat.editedFileForeground': warning,
+    'inlineChat.background': widget,
+    'inlineChat.foreground': fg0,
+    'inlineChat.border': line,
+    'inlineChat.shadow': shadow,
+    'inlineChatInput.border': line,
+    'inlineChatInput.focusBorder': focus,
+    'inlineChatInput.placeholderForeground': muted,
+    'inlineChatInput.background': input,
+    'inlineChatDiff.inserted': alpha(success, 0.2),
+    'inlineChatDiff.removed': alpha(error, 0.2),
+    'interactive.activeCodeBorder': accent,
+    'interactive.inactiveCodeBorder': line,
+    // editor widgets
+    'editorWidget.foreground': fg0,
+    'editorWidget.background': widget,
+    'editorWidget.border': line,
+    'editorWidget.resizeBorder': focus,
+    'editorSuggestWidget.background': widget,
+    'editorSuggestWidget.border': line,
+    'editorSuggestWidget.foreground': fg0,
+    'editorSuggestWidget.focusHighlightForeground': accentLight,
+    'editorSuggestWidget.highlightForeground': syntax.keyword,
+    'editorSuggestWidget.selectedBackground': p.listSelection,
+    'editorSuggestWidget.selectedForeground': fg0,
+    'editorSuggestWidget.selectedIconForeground': fg0,
+    'editorSuggestWidgetStatus.foreground': muted,
+    'editorHoverWidget.foreground': fg0,
+    'editorHoverWidget.background': widget,
+    'editorHoverWidget.border': line,
+    'editorHoverWidget.highlightForeground': syntax.keyword,
+    'editorHoverWidget.statusBarBackground': hc ? bg0 : shade(widget, light ? -0.03 : +0.03),
+    'editorGhostText.border': p.border || '#00000000',
+    'editorGhostText.background': '#00000000',
+    'editorGhostText.foreground': alpha(muted, 0.8),
+    'editorStickyScroll.background': bg0,
+    'editorStickyScroll.border': line,
+    'editorStickyScroll.shadow': shadow,
+    'editorStickyScrollHover.background': hover,
+    'debugExceptionWidget.background': hc ? bg0 : shade(errorBg, light ? +0.35 : -0.15),
+    'debugExceptionWidget.border': error,
+    'editorMarkerNavigation.background': widget,
+    'editorMarkerNavigationError.background': error,
+    'editorMarkerNavigationWarning.background': warning,
+    'editorMarkerNavigationInfo.background': info,
+    'editorMarkerNavigationError.headerBackground': alpha(error, 0.12),
+    'editorMarkerNavigationWarning.headerBackground': alpha(warning, 0.12),
+    'editorMarkerNavigationInfo.headerBackground': alpha(info, 0.12),
+    // peek view
+    'peekView.border': accent,
+    'peekViewEditor.background': hc ? bg0 : shade(bg0, light ? -0.02 : +0.02),
+    'peekViewEditorGutter.background': hc ? bg0 : shade(bg0, light ? -0.02 : +0.02),
+    'peekViewEditor.matchHighlightBackground': alpha(tertiary, 0.3),
+    'peekViewEditor.matchHighlightBorder': p.activeBorder || '#00000000',
+    'peekViewEditorStickyScroll.background': hc ? bg0 : shade(bg0, light ? -0.02 : +0.02),
+    'peekViewResult.background': bg1,
+    'peekViewResult.fileForeground': fg0,
+    'peekViewResult.lineForeground': muted,
+    'peekViewResult.matchHighlightBackground': alpha(tertiary, 0.3),
+    'peekViewResult.selectionBackground': p.listSelection,
+    'peekViewResult.selectionForeground': fg0,
+    'peekViewTitle.background': bg2,
+    'peekViewTitleDescription.foreground': muted,
+    'peekViewTitleLabel.foreground': fg0,
+    // merge conflicts: current = success, incoming = info, common = muted
+    'merge.currentHeaderBackground': alpha(success, 0.4),
+    'merge.currentContentBackground': alpha(success, 0.15),
+    'merge.incomingHeaderBackground': alpha(info, 0.4),
+    'merge.incomingContentBackground': alpha(info, 0.15),
+    'merge.border': p.border || '#00000000',
+    'merge.commonContentBackground': alpha(muted, 0.15),
+    'merge.commonHeaderBackground': alpha(muted, 0.4),
+    'editorOverviewRuler.currentContentForeground': alpha(success, 0.6),
+    'editorOverviewRuler.incomingContentForeground': alpha(info, 0.6),
+    'editorOverviewRuler.commonContentForeground': alpha(muted, 0.6),
+    'mergeEditor.change.background': alpha(success, 0.12),
+    'mergeEditor.change.word.background': alpha(success, 0.25),
+    'mergeEditor.changeBase.background': alpha(error, 0.12),
+    'mergeEditor.changeBase.word.background': alpha(error, 0.25),
+    'mergeEditor.conflict.unhandledUnfocused.border': alpha(warning, 0.5),
+    'mergeEditor.conflict.unhandledFocused.border': warning,
+    'mergeEditor.conflict.handledUnfocused.border': alpha(success, 0.3),
+    'mergeEditor.conflict.handledFocused.border': alpha(success, 0.7),
+    'mergeEditor.conflict.handled.minimapOverViewRuler': alpha(success, 0.6),
+    'mergeEditor.conflict.unhandled.minimapOverViewRuler': warning,
+    'mergeEditor.conflictingLines.background': alpha(warning, 0.15),
+    'mergeEditor.conflict.input1.background': alpha(success, 0.15),
+    'mergeEditor.conflict.input2.background': alpha(info, 0.15),
+    // panel
+    'panel.border': line,
+    'panel.dropBorder': focus,
+    'panelTitle.activeBorder': accent,
+    'panelTitle.activeForeground': fg0,
+    'panelTitle.inactiveForeground': muted,
+    'panelTitle.border': line,
+    'panelTitleBadge.background': tertiary,
+    'panelTitleBadge.foreground': onTertiary,
+    'panelInput.border': line,
+    'panelSection.border': line,
+    'panelSection.dropBackground': alpha(accent, 0.15),
+    'panelSectionHeader.background': shade(bg1, -0.06),
+    'panelSectionHeader.foreground': fg0,
+    'panelSectionHeader.border': line,
+    'outputView.background': bg1,
+    'outputViewStickyScroll.background': bg1,
+    // status bar
+    'statusBar.border': p.border || p.secondaryDark,
+    'statusBar.debuggingBackground': hc ? bg0 : shade(ansi.red, light ? -0.1 : -0.2),
+    'statusBar.debuggingForeground': readableText(hc ? bg0 : shade(ansi.red, light ? -0.1 : -0.2), level),
+    'statusBar.debuggingBorder': p.border || shade(ansi.red, light ? -0.1 : -0.2),
+    'statusBar.noFolderForeground': readableText(hc ? bg0 : bg2, level),
+    'statusBar.noFolderBackground': hc ? bg0 : bg2,
+    'statusBar.noFolderBorder': p.border || bg2,
+    'statusBar.focusBorder': focus,
+    'statusBarItem.activeBackground': alpha(statusOverlay, 0.2),
+    'statusBarItem.focusBorder': focus,
+    'statusBarItem.hoverBackground': alpha(statusOverlay, 0.12),
+    'statusBarItem.hoverForeground': onStatus,
+    'statusBarItem.compactHoverBackground': alpha(statusOverlay, 0.12),
+    'statusBarItem.prominentForeground': readableText(hc ? bg0 : shade(p.secondaryDark, -0.06), level),
+    'statusBarItem.prominentBackground': hc ? bg0 : shade(p.secondaryDark, -0.06),
+    'statusBarItem.prominentHoverForeground': readableText(hc ? bg0 : shade(p.secondaryDark, -0.1), level),
+    'statusBarItem.prominentHoverBackground': hc ? bg0 : shade(p.secondaryDark, -0.1),
+    'statusBarItem.remoteBackground': hc ? bg0 : tertiary,
+    'statusBarItem.remoteForeground': hc ? fg0 : onTertiary,
+    'statusBarItem.remoteHoverBackground': hc ? bg0 : shade(tertiary, light ? -0.06 : +0.06),
+    'statusBarItem.remoteHoverForeground': readableText(hc ? bg0 : shade(tertiary, light ? -0.06 : +0.06), level),
+    'statusBarItem.errorBackground': hc ? bg0 : errorBg,
+    'statusBarItem.errorForeground': readableText(hc ? bg0 : errorBg, level),
+    'statusBarItem.errorHoverBackground': hc ? bg0 : shade(errorBg, -0.05),
+    'statusBarItem.errorHoverForeground': readableText(hc ? bg0 : shade(errorBg, -0.05), level),
+    'statusBarItem.warningBackground': hc ? bg0 : warningBg,
+    'statusBarItem.warningForeground': readableText(hc ? bg0 : warningBg, level),
+    'statusBarItem.warningHoverBackground': hc ? bg0 : shade(warningBg, -0.05),
+    'statusBarItem.warningHoverForeground': readableText(hc ? bg0 : shade(warningBg, -0.05), level),
+    'statusBarItem.offlineBackground': hc ? bg0 : shade(muted, -0.25),
+    'statusBarItem.offlineForeground': readableText(hc ? bg0 : shade(muted, -0.25), level),
+    'statusBarItem.offlineHoverBackground': hc ? bg0 : shade(muted, -0.3),
+    'statusBarItem.offlineHoverForeground': readableText(hc ? bg0 : shade(muted, -0.3), level),
+    // title bar, menus, command center
+    'titleBar.border': p.border || bg2,
+    'menubar.selectionForeground': fg0,
+    'menubar.selectionBackground': alpha(overlay, 0.1),
+    'menubar.selectionBorder': p.activeBorder || '#00000000',
+    'menu.foreground': fg0,
+    'menu.background': widget,
+    'menu.selectionForeground': onAccent,
+    'menu.selectionBackground': accent,
+    'menu.selectionBorder': p.activeBorder || '#00000000',
+    'menu.separatorBackground': line,
+    'menu.border': line,
+    'commandCenter.foreground': readableText(bg2, level),
+    'commandCenter.activeForeground': readableText(bg2, level),
+    'commandCenter.background': alpha(overlay, 0.05),
+    'commandCenter.activeBackground': alpha(overlay, 0.1),
+    'commandCenter.border': alpha(muted, 0.3),
+    'commandCenter.inactiveForeground': muted,
+    'commandCenter.inactiveBorder': alpha(muted, 0.2),
+    'commandCenter.activeBorder': alpha(muted, 0.5),
+    'commandCenter.debuggingBackground': alpha(ansi.red, 0.25),
+    // notifications and banner
+    'notificationCenter.border': line,
+    'notificationCenterHeader.foreground': fg0,
+    'notificationCenterHeader.background': hc ? bg0 : shade(widget, light ? -0.03 : +0.03),
+    'notificationToast.border': line,
+    'notifications.foreground': fg0,
+    'notifications.background': widget,
+    'notifications.border': line,
+    'notificationLink.foreground': syntax.keyword,
+    'notificationsErrorIcon.foreground': error,
+    'notificationsWarningIcon.foreground': warning,
+    'notificationsInfoIcon.foreground': info,
+    'banner.background': hc ? bg0 : p.secondaryDark,
+    'banner.foreground': readableText(hc ? bg0 : p.secondaryDark, level),
+    'banner.iconForeground': readableText(hc ? bg0 : p.secondaryDark, level),
+    // extensions
+    'extensionButton.prominentForeground': onSecondary,
+    'extensionButton.prominentBackground': secondary,
+    'extensionButton.prominentHoverBackground': shade(secondary, light ? -0.06 : +0.06),
+    'extensionButton.background': secondary,
+    'extensionButton.foreground': onSecondary,
+    'extensionButton.hoverBackground': shade(secondary, light ? -0.06 : +0.06),
+    'extensionButton.separator': alpha(onSecondary, 0.4),
+    'extensionBadge.remoteBackground': tertiary,
+    'extensionBadge.remoteForeground': onTertiary,
+    'extensionIcon.starForeground': warning,
+    'extensionIcon.verifiedForeground': syntax.keyword,
+    'extensionIcon.preReleaseForeground': syntax.number,
+    'extensionIcon.sponsorForeground': conflict,
+    // quick picker and keybindings
+    'pickerGroup.border': line,
+    'pickerGroup.foreground': syntax.keyword,
+    'quickInput.background': widget,
+    'quickInput.foreground': fg0,
+    'quickInputList.focusBackground': p.listSelection,
+    'quickInputList.focusForeground': fg0,
+    'quickInputList.focusIconForeground': fg0,
+    'quickInputTitle.background': hc ? bg0 : shade(widget, light ? -0.03 : +0.03),
+    'keybindingLabel.background': alpha(muted, 0.12),
+    'keybindingLabel.foreground': fg0,
+    'keybindingLabel.border': alpha(muted, 0.3),
+    'keybindingLabel.bottomBorder': alpha(muted, 0.4),
+    'keybindingTable.headerBackground': alpha(muted, 0.08),
+    'keybindingTable.rowsBackground': alpha(muted, 0.04),
+    // integrated terminal (ANSI colors come from lib/ansi.js via theme.js)
+    'terminal.border': line,
+    'terminal.selectionBackground': p.selection,
+    'terminal.selectionForeground': fg0,
+    'terminal.inactiveSelectionBackground': p.inactiveSelection,
+    'terminal.findMatchBackground': alpha(tertiary, 0.45),
+    'terminal.findMatchBorder': p.activeBorder || '#00000000',
+    'terminal.findMatchHighlightBackground': alpha(tertiary, 0.22),
+    'terminal.findMatchHighlightBorder': p.border || '#00000000',
+    'terminal.hoverHighlightBackground': alpha(accent, 0.12),
+    'terminal.dropBackground': alpha(accent, 0.15),
+    'terminal.tab.activeBorder': accent,
+    'terminal.initialHintForeground': alpha(muted, 0.7),
+    'terminalCursor.background': bg0,
+    'terminalCommandDecoration.defaultBackground': alpha(muted, 0.6),
+    'terminalCommandDecoration.successBackground': success,
+    'terminalCommandDecoration.errorBackground': error,
+    'terminalCommandGuide.foreground': alpha(muted, 0.4),
+    'terminalOverviewRuler.border': line,
+    'terminalOverviewRuler.cursorForeground': alpha(accent, 0.6),
+    'terminalOverviewRuler.findMatchForeground': alpha(tertiary, 0.6),
+    'terminalStickyScroll.background': bg0,
+    'terminalStickyScroll.border': line,
+    'terminalStickyScrollHover.background': hover,
+    // debug
+    'debugToolBar.background': widget,
+    'debugToolBar.border': line,
+    'editor.stackFrameHighlightBackground': alpha(warning, 0.15),
+    'editor.focusedStackFrameHighlightBackground': alpha(success, 0.15),
+    'editor.inlineValuesForeground': muted,
+    'editor.inlineValuesBackground': alpha(warning, 0.12),
+    'debugView.exceptionLabelForeground': readableText(errorBg, level),
+    'debugView.exceptionLabelBackground': errorBg,
+    'debugView.stateLabelForeground': fg0,
+    'debugView.stateLabelBackground': alpha(muted, 0.25),
+    'debugView.valueChangedHighlight': accent,
+    'debugTokenExpression.name': syntax.keyword,
+    'debugTokenExpression.value': fg0,
+    'debugTokenExpression.string': syntax.string,
+    'debugTokenExpression.boolean': syntax.number,
+    'debugTokenExpression.number': syntax.number,
+    'debugTokenExpression.error': error,
+    'debugTokenExpression.type': syntax.type,
+    'debugIcon.breakpointForeground': error,
+    'debugIcon.breakpointDisabledForeground': muted,
+    'debugIcon.breakpointUnverifiedForeground': alpha(error, 0.6),
+    'debugIcon.breakpointCurrentStackframeForeground': warning,
+    'debugIcon.breakpointStackframeForeground': success,
+    'debugIcon.startForeground': success,
+    'debugIcon.pauseForeground': info,
+    'debugIcon.stopForeground': error,
+    'debugIcon.disconnectForeground': error,
+    'debugIcon.restartForeground': success,
+    'debugIcon.stepOverForeground': info,
+    'debugIcon.stepIntoForeground': info,
+    'debugIcon.stepOutForeground': info,
+    'debugIcon.continueForeground': info,
+    'debugIcon.stepBackForeground': info,
+    'debugConsole.infoForeground': info,
+    'debugConsole.warningForeground': warning,
+    'debugConsole.errorForeground': error,
+    'debugConsole.sourceForeground': fg0,
+    'debugConsoleInputIcon.foreground': accent,
+    // testing
+    'testing.runAction': success,
+    'testing.iconErrored': error,
+    'testing.iconFailed': error,
+    'testing.iconPassed': success,
+    'testing.iconQueued': warning,
+    'testing.iconUnset': muted,
+    'testing.iconSkipped': muted,
+    'testing.iconErrored.retired': alpha(error, 0.45),
+    'testing.iconFailed.retired': alpha(error, 0.45),
+    'testing.iconPassed.retired': alpha(success, 0.45),
+    'testing.iconQueued.retired': alpha(warning, 0.45),
+    'testing.iconUnset.retired': alpha(muted, 0.45),
+    'testing.iconSkipped.retired': alpha(muted, 0.45),
+    'testing.peekBorder': error,
+    'testing.peekHeaderBackground': alpha(error, 0.12),
+    'testing.messagePeekBorder': info,
+    'testing.messagePeekHeaderBackground': alpha(info, 0.12),
+    'testing.message.error.badgeBackground': errorBg,
+    'testing.message.error.badgeBorder': errorBg,
+    'testing.message.error.badgeForeground': readableText(errorBg, level),
+    'testing.message.info.decorationForeground': alpha(fg0, 0.5),
+    'testing.message.info.lineBackground': alpha(info, 0.1),
+    'testing.coveredBackground': alpha(success, 0.15),
+    'testing.coveredBorder': alpha(success, 0.4),
+    'testing.coveredGutterBackground': alpha(success, 0.4),
+    'testing.uncoveredBranchBackground': alpha(error, 0.35),
+    'testing.uncoveredBackground': alpha(error, 0.15),
+    'testing.uncoveredBorder': alpha(error, 0.4),
+    'testing.uncoveredGutterBackground': alpha(error, 0.4),
+    'testing.coverCountBadgeBackground': tertiary,
+    'testing.coverCountBadgeForeground': onTertiary,
+    // welcome page
+    'welcomePage.background': bg0,
+    'welcomePage.progress.background': input,
+    'welcomePage.progress.foreground': accent,
+    'welcomePage.tileBackground': widget,
+    'welcomePage.tileHoverBackground': hc ? bg0 : shade(widget, light ? -0.03 : +0.03),
+    'welcomePage.tileBorder': line,
+    'walkThrough.embeddedEditorBackground': bg1,
+    'walkthrough.stepTitle.foreground': fg0,
+    // git decorations and source control graph
+    'gitDecoration.addedResourceForeground': success,
+    'gitDecoration.modifiedResourceForeground': warning,
+    'gitDecoration.deletedResourceForeground': error,
+    'gitDecoration.renamedResourceForeground': info,
+    'gitDecoration.stageModifiedResourceForeground': warning,
+    'gitDecoration.stageDeletedResourceForeground': error,
+    'gitDecoration.untrackedResourceForeground': success,
+    'gitDecoration.ignoredResourceForeground': alpha(muted, 0.7),
+    'gitDecoration.conflictingResourceForeground': conflict,
+    'gitDecoration.submoduleResourceForeground': syntax.type,
+    'scmGraph.foreground1': accent,
+    'scmGraph.foreground2': secondary === accent ? syntax.string : secondary,
+    'scmGraph.foreground3': tertiary === accent ? syntax.type : tertiary,
+    'scmGraph.foreground4': syntax.number,
+    'scmGraph.foreground5': conflict,
+    'scmGraph.historyItemHoverLabelForeground': onAccent,
+    'scmGraph.historyItemHoverAdditionsForeground': success,
+    'scmGraph.historyItemHoverDeletionsForeground': error,
+    'scmGraph.historyItemRefColor': accent,
+    'scmGraph.historyItemRemoteRefColor': syntax.type,
+    'scmGraph.historyItemBaseRefColor': syntax.number,
+    'scmGraph.historyItemHoverDefaultLabelForeground': fg0,
+    'scmGraph.historyItemHoverDefaultLabelBackground': alpha(muted, 0.25),
+    // settings editor
+    'settings.headerForeground': fg0,
+    'settings.modifiedItemIndicator': accent,
+    'settings.dropdownBackground': input,
+    'settings.dropdownForeground': fg0,
+    'settings.dropdownBorder': line,
+    'settings.dropdownListBorder': line,
+    'settings.checkboxBackground': input,
+    'settings.checkboxForeground': fg0,
+    'settings.checkboxBorder': line,
+    'settings.rowHoverBackground': alpha(overlay, 0.04),
+    'settings.textInputBackground': input,
+    'settings.textInputForeground': fg0,
+    'settings.textInputBorder': line,
+    'settings.numberInputBackground': input,
+    'settings.numberInputForeground': fg0,
+    'settings.numberInputBorder': line,
+    'settings.focusedRowBackground': alpha(overlay, 0.06),
+    'settings.focusedRowBorder': focus,
+    'settings.headerBorder': line,
+    'settings.sashBorder': line,
+    'settings.settingsHeaderHoverForeground': alpha(fg0, 0.7),
+    // breadcrumbs
+    'breadcrumb.foreground': muted,
+    'breadcrumb.background': bg0,
+    'breadcrumb.focusForeground': fg0,
+    'breadcrumb.activeSelectionForeground': fg0,
+    'breadcrumbPicker.background': widget,
+    // snippets
+    'editor.snippetTabstopHighlightBackground': alpha(accent, 0.2),
+    'editor.snippetTabstopHighlightBorder': p.border || '#00000000',
+    'editor.snippetFinalTabstopHighlightBackground': '#00000000',
+    'editor.snippetFinalTabstopHighlightBorder': alpha(accent, 0.6),
+    // symbol icons follow the syntax roles
+    'symbolIcon.arrayForeground': syntax.punctuation,
+    'symbolIcon.booleanForeground': syntax.number,
+    'symbolIcon.classForeground': syntax.type,
+    'symbolIcon.colorForeground': fg0,
+    'symbolIcon.constantForeground': syntax.number,
+    'symbolIcon.constructorForeground': syntax.function,
+    'symbolIcon.enumeratorForeground': syntax.type,
+    'symbolIcon.enumeratorMemberForeground': syntax.number,
+    'symbolIcon.eventForeground': warning,
+    'symbolIcon.fieldForeground': syntax.variable,
+    'symbolIcon.fileForeground': fg0,
+    'symbolIcon.folderForeground': fg0,
+    'symbolIcon.functionForeground': syntax.function,
+    'symbolIcon.interfaceForeground': syntax.type,
+    'symbolIcon.keyForeground': syntax.variable,
+    'symbolIcon.keywordForeground': syntax.keyword,
+    'symbolIcon.methodForeground': syntax.function,
+    'symbolIcon.moduleForeground': syntax.type,
+    'symbolIcon.namespaceForeground': syntax.type,
+    'symbolIcon.nullForeground': syntax.number,
+    'symbolIcon.numberForeground': syntax.number,
+    'symbolIcon.objectForeground': syntax.type,
+    'symbolIcon.operatorForeground': syntax.punctuation,
+    'symbolIcon.packageForeground': syntax.type,
+    'symbolIcon.propertyForeground': syntax.variable,
+    'symbolIcon.referenceForeground': syntax.variable,
+    'symbolIcon.snippetForeground': fg0,
+    'symbolIcon.stringForeground': syntax.string,
+    'symbolIcon.structForeground': syntax.type,
+    'symbolIcon.textForeground': fg0,
+    'symbolIcon.typeParameterForeground': syntax.type,
+    'symbolIcon.unitForeground': syntax.number,
+    'symbolIcon.variableForeground': syntax.variable,
+    // notebooks
+    'notebook.editorBackground': bg0,
+    'notebook.cellBorderColor': line,
+    'notebook.cellHoverBackground': alpha(overlay, 0.03),
+    'notebook.cellInsertionIndicator': focus,
+    'notebook.cellStatusBarItemHoverBackground': alpha(overlay, 0.1),
+    'notebook.cellToolbarSeparator': line,
+    'notebook.cellEditorBackground': bg1,
+    'notebook.focusedCellBackground': alpha(overlay, 0.04),
+    'notebook.focusedCellBorder': focus,
+    'notebook.focusedEditorBorder': focus,
+    'notebook.inactiveFocusedCellBorder': line,
+    'notebook.inactiveSelectedCellBorder': line,
+    'notebook.outputContainerBackgroundColor': bg1,
+    'notebook.outputContainerBorderColor': line,
+    'notebook.selectedCellBackground': alpha(accent, 0.08),
+    'notebook.selectedCellBorder': line,
+    'notebook.symbolHighlightBackground': alpha(accent, 0.12),
+    'notebookScrollbarSlider.activeBackground': alpha(overlay, 0.25),
+    'notebookScrollbarSlider.background': alpha(overlay, 0.12),
+    'notebookScrollbarSlider.hoverBackground': alpha(overlay, 0.19),
+    'notebookStatusErrorIcon.foreground': error,
+    'notebookStatusRunningIcon.foreground': fg0,
+    'notebookStatusSuccessIcon.foreground': success,
+    'notebookEditorOverviewRuler.runningCellForeground': accent,
+    // charts
+    'charts.foreground': fg0,
+    'charts.lines': alpha(muted, 0.5),
+    'charts.red': error,
+    'charts.blue': info,
+    'charts.yellow': warning,
+    'charts.orange': syntax.number,
+    'charts.green': success,
+    'charts.purple': conflict,
+    'chart.line': accent,
+    'chart.axis': alpha(muted, 0.6),
+    'chart.guide': alpha(muted, 0.25),
+    // misc views
+    'ports.iconRunningProcessForeground': success,
+    'commentsView.resolvedIcon': muted,
+    'commentsView.unresolvedIcon': accent,
+    'simpleFindWidget.sashBorder': line,
+    'gauge.background': accent,
+    'gauge.foreground': alpha(accent, 0.3),
+    'gauge.border': p.border || '#00000000',
+    'gauge.warningBackground': warning,
+    'gauge.warningForeground': alpha(warning, 0.3),
+    'gauge.errorBackground': error,
+    'gauge.errorForeground': alpha(error, 0.3),
+  };
+  for (let i = 1; i <= 6; i++) {
+    colors[`editorIndentGuide.background${i}`] = indent;
+    colors[`editorIndentGuide.activeBackground${i}`] = indentActive;
+    colors[`editorBracketHighlight.foreground${i}`] = brackets[i - 1];
+    colors[`editorBracketPairGuide.background${i}`] = alpha(brackets[i - 1], 0.25);
+    colors[`editorBracketPairGuide.activeBackground${i}`] = alpha(brackets[i - 1], 0.6);
+  }
+  return colors;
+}
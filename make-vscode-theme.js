@@ -1,276 +1,182 @@
 #!/usr/bin/env node
 // v2: writes to all detected extension dirs + forces a new version
-const fs = require("fs");
-const path = require("path");
-const os = require("os");
+import path from "path";
+import { targetRatio } from "./lib/contrast.js";
+import { makeTheme, SHADING, THEME_TYPES } from "./lib/theme.js";
+import {
+  BUILTIN_TARGETS,
+  configFile,
+  extensionTargets,
+  installTheme,
+  listInstalled,
+  removeInstalled,
+  staleInstalled,
+} from "./lib/install.js";
+
+const argv = process.argv.slice(2);
+const takeFlag = (flag) => {
+  const i = argv.indexOf(flag);
+  return i >= 0 ? argv.splice(i, 2)[1] : undefined;
+};
+const takeSwitch = (flag) => {
+  const i = argv.indexOf(flag);
+  return i >= 0 && Boolean(argv.splice(i, 1));
+};
+const dryRun = takeSwitch("--dry-run");
+const outDir = takeFlag("--out");
+const picked = [];
+for (let t; (t = takeFlag("--target")); ) picked.push(...t.split(","));
+// resolved only where they are used: --out writes elsewhere and must not fail on them
+const installTargets = () => {
+  try {
+    return extensionTargets({ picked });
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+};
 
-const nameArg = process.argv[2];
-const hexArg = process.argv[3];
+// housekeeping subcommands: list | uninstall <slug> | prune [--dry-run]
+const commands = {
+  list() {
+    const installed = listInstalled(installTargets());
+    if (!installed.length) return console.log("No generated themes installed.");
+    const stale = new Set(staleInstalled(installed));
+    for (const entry of installed) {
+      const mark = stale.has(entry) ? "  (older copy)" : "";
+      console.log(`${entry.slug}\t${entry.stamp}\t${entry.name}\t${entry.dir}${mark}`);
+    }
+  },
+  uninstall(slug) {
+    if (!slug) {
+      console.error("Usage: node make-vscode-theme.js uninstall <slug> [--dry-run]");
+      process.exit(1);
+    }
+    const matches = listInstalled(installTargets()).filter((e) => e.slug === slug);
+    if (!matches.length) {
+      console.error(`No installed theme with slug ${slug}. Run list to see installed slugs.`);
+      process.exit(1);
+    }
+    remove(matches);
+  },
+  prune() {
+    const stale = staleInstalled(listInstalled(installTargets()));
+    if (!stale.length) return console.log("Nothing to prune; each slug has a single copy.");
+    remove(stale);
+  },
+};
+const remove = (entries) => {
+  console.log(dryRun ? "Would remove:" : "Removing:");
+  for (const { dir } of entries) console.log("  ", dir);
+  if (!dryRun) removeInstalled(entries);
+};
+// a theme may be called "list" too: a hex color (or --primary) after the word means a theme
+const isHex = (arg) => /^#?[0-9a-fA-F]{6}$/.test((arg || "").trim());
+if (Object.hasOwn(commands, argv[0]) && !isHex(argv[1]) && !argv.includes("--primary")) {
+  commands[argv[0]](argv[1]);
+  process.exit(0);
+}
+const themeType = takeFlag("--type") || "dark";
+const contrast = takeFlag("--contrast");
+const space = takeFlag("--space") || "hsl";
+const primaryArg = takeFlag("--primary");
+const secondaryArg = takeFlag("--secondary");
+const tertiaryArg = takeFlag("--tertiary");
+const [nameArg, hexArg = primaryArg] = argv;
 if (!nameArg || !hexArg) {
-  console.error('Usage: node make-vscode-theme.js "My Theme" "#RRGGBB"');
+  console.error(
+    'Usage: node make-vscode-theme.js "My Theme" "#RRGGBB" [--type dark|light|hc-black|hc-light] [--contrast AA|AAA|<ratio>] [--space hsl|oklch]\n' +
+      '       node make-vscode-theme.js "My Theme" --primary "#RRGGBB" [--secondary "#RRGGBB"] [--tertiary "#RRGGBB"] [...]\n' +
+      "       [--target <name|path>[,...]] [--out <dir>] [--dry-run]\n" +
+      "       node make-vscode-theme.js list | uninstall <slug> | prune [--dry-run] [--target ...]\n" +
+      `Targets: ${Object.keys(BUILTIN_TARGETS).join(", ")} or a path; also THEME_TARGETS or "targets" in ${configFile()}\n` +
+      "Portable VS Code: portable is found only inside it (VSCODE_PORTABLE); elsewhere pass --target <portable>/data/extensions"
+  );
   process.exit(1);
 }
-
-const HEX = hexArg.trim();
-if (!/^#?[0-9a-fA-F]{6}$/.test(HEX)) {
-  console.error("Please provide a hex like #007BFF or 007BFF");
+if (!THEME_TYPES[themeType]) {
+  console.error(
+    `Unknown --type ${themeType}; expected one of: ${Object.keys(THEME_TYPES).join(", ")}`
+  );
   process.exit(1);
 }
-const baseHex = HEX.startsWith("#") ? HEX : `#${HEX}`;
-
-const slug =
-  nameArg
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, "-")
-    .replace(/^-+|-+$/g, "")
-    .slice(0, 40) || "theme";
-const nowVer = new Date()
-  .toISOString()
-  .replace(/[-:TZ.]/g, "")
-  .slice(0, 12); // yyyymmddhhmm
-
-// ---------- tiny color helpers ----------
-const hexToRgb = (h) => {
-  h = h.replace("#", "");
-  return {
-    r: parseInt(h.slice(0, 2), 16),
-    g: parseInt(h.slice(2, 4), 16),
-    b: parseInt(h.slice(4, 6), 16),
-  };
-};
-const rgbToHex = ({ r, g, b }) =>
-  `#${[r, g, b]
-    .map((n) => Math.max(0, Math.min(255, n)).toString(16).padStart(2, "0"))
-    .join("")}`.toUpperCase();
-function rgbToHsl({ r, g, b }) {
-  r /= 255;
-  g /= 255;
-  b /= 255;
-  const max = Math.max(r, g, b),
-    min = Math.min(r, g, b);
-  let h,
-    s,
-    l = (max + min) / 2;
-  if (max === min) {
-    h = s = 0;
-  } else {
-    const d = max - min;
-    s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
-    switch (max) {
-      case r:
-        h = (g - b) / d + (g < b ? 6 : 0);
-        break;
-      case g:
-        h = (b - r) / d + 2;
-        break;
-      case b:
-        h = (r - g) / d + 4;
-    }
-    h /= 6;
-  }
-  return { h: h * 360, s, l };
+if (!SHADING[space]) {
+  console.error(
+    `Unknown --space ${space}; expected one of: ${Object.keys(SHADING).join(", ")}`
+  );
+  process.exit(1);
 }
-function hslToRgb({ h, s, l }) {
-  h /= 360;
-  let r, g, b;
-  if (s === 0) {
-    r = g = b = l;
-  } else {
-    const hue2rgb = (p, q, t) => {
-      if (t < 0) t += 1;
-      if (t > 1) t -= 1;
-      if (t < 1 / 6) return p + (q - p) * 6 * t;
-      if (t < 1 / 2) return q;
-      if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
-      return p;
-    };
-    const q = l < 0.5 ? l * (1 + s) : l + s - l * s,
-      p = 2 * l - q;
-    r = hue2rgb(p, q, h + 1 / 3);
-    g = hue2rgb(p, q, h);
-    b = hue2rgb(p, q, h - 1 / 3);
-  }
-  return {
-    r: Math.round(r * 255),
-    g: Math.round(g * 255),
-    b: Math.round(b * 255),
-  };
+try {
+  if (contrast) targetRatio(contrast);
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
 }
-const shade = (hex, dl = 0, ds = 0) => {
-  let { h, s, l } = rgbToHsl(hexToRgb(hex));
-  s = Math.max(0, Math.min(1, s + ds));
-  l = Math.max(0, Math.min(1, l + dl));
-  return rgbToHex(hslToRgb({ h, s, l }));
-};
-const contrastText = (bgHex) => {
-  const { r, g, b } = hexToRgb(bgHex);
-  const yiq = (r * 299 + g * 587 + b * 114) / 1000;
-  return yiq >= 140 ? "#1A1A1A" : "#F2F2F2";
+
+const toHex = (arg) => {
+  if (arg === undefined) return undefined;
+  const HEX = arg.trim();
+  if (!/^#?[0-9a-fA-F]{6}$/.test(HEX)) {
+    console.error("Please provide a hex like #007BFF or 007BFF");
+    process.exit(1);
+  }
+  return HEX.startsWith("#") ? HEX : `#${HEX}`;
 };
+const baseHex = toHex(hexArg);
+const secondaryHex = toHex(secondaryArg);
+const tertiaryHex = toHex(tertiaryArg);
 
-// palette
-const accent = baseHex;
-const accentDim = shade(accent, -0.1, -0.05);
-const accentDark = shade(accent, -0.18, -0.05);
-const accentLight = shade(accent, +0.2, -0.2);
-const bg0 = "#0f1115";
-const bg1 = shade(accent, -0.36, -0.55);
-const bg2 = shade(accent, -0.3, -0.6);
-const fg0 = "#e6e6e6";
-const muted = "#9aa3ad";
-
-const theme = {
+const theme = makeTheme({
   name: nameArg,
-  type: "dark",
-  colors: {
-    "titleBar.activeBackground": bg2,
-    "titleBar.activeForeground": contrastText(bg2),
-    "titleBar.inactiveBackground": shade(bg2, -0.05),
-    "titleBar.inactiveForeground": contrastText(shade(bg2, -0.05)),
-    "activityBar.background": bg2,
-    "activityBar.foreground": contrastText(bg2),
-    "activityBarBadge.background": accent,
-    "activityBarBadge.foreground": contrastText(accent),
-    "statusBar.background": accentDark,
-    "statusBar.foreground": contrastText(accentDark),
-    "tab.activeBackground": bg0,
-    "tab.activeForeground": fg0,
-    "tab.inactiveBackground": shade(bg0, -0.06),
-    "tab.inactiveForeground": muted,
-    "tab.hoverBackground": shade(bg0, +0.04),
-    "tab.border": shade(bg0, -0.1),
-    "editor.background": bg0,
-    "editor.foreground": fg0,
-    "editorLineNumber.foreground": shade(muted, -0.2),
-    "editorCursor.foreground": accent,
-    "editor.selectionBackground": shade(accent, +0.1, -0.3) + "80",
-    "editor.inactiveSelectionBackground": shade(accent, +0.15, -0.4) + "55",
-    "editor.lineHighlightBackground": "#00000040",
-    "editor.wordHighlightBackground": "#ffffff10",
-    "editor.wordHighlightStrongBackground": "#ffffff15",
-    "sideBar.background": bg1,
-    "sideBar.foreground": fg0,
-    "sideBarSectionHeader.background": shade(bg1, -0.06),
-    "sideBarSectionHeader.foreground": fg0,
-    "panel.background": bg1,
-    "button.background": accent,
-    "button.foreground": contrastText(accent),
-    "checkbox.border": accentDim,
-    focusBorder: accentDim,
-    "list.activeSelectionBackground": shade(accent, -0.05) + "66",
-    "list.activeSelectionForeground": fg0,
-    "list.hoverBackground": "#ffffff08",
-    "scrollbarSlider.background": "#ffffff20",
-    "scrollbarSlider.hoverBackground": "#ffffff30",
-    "scrollbarSlider.activeBackground": "#ffffff40",
-    "terminal.ansiBlack": "#1c1f26",
-    "terminal.ansiRed": "#ff6b6b",
-    "terminal.ansiGreen": "#6ed796",
-    "terminal.ansiYellow": "#ffd166",
-    "terminal.ansiBlue": accent,
-    "terminal.ansiMagenta": "#c792ea",
-    "terminal.ansiCyan": "#64d6e2",
-    "terminal.ansiWhite": "#d8dee9",
-    "terminal.background": bg0,
-    "terminal.foreground": fg0,
-  },
-  tokenColors: [
-    {
-      scope: ["comment", "punctuation.definition.comment"],
-      settings: { foreground: muted, fontStyle: "italic" },
-    },
-    {
-      scope: ["keyword", "storage.type", "storage.modifier"],
-      settings: { foreground: accent },
-    },
-    {
-      scope: ["entity.name.function", "support.function", "meta.function-call"],
-      settings: { foreground: accentLight },
-    },
-    {
-      scope: ["variable", "meta.definition.variable"],
-      settings: { foreground: "#EAEAEA" },
-    },
-    {
-      scope: ["string", "constant.other.symbol"],
-      settings: { foreground: "#A6E3A1" },
-    },
-    {
-      scope: ["constant.numeric", "constant.language", "support.constant"],
-      settings: { foreground: "#F9E2AF" },
-    },
-    {
-      scope: ["entity.name.type", "support.type", "storage.type.class"],
-      settings: { foreground: "#89B4FA" },
-    },
-    {
-      scope: ["punctuation", "meta.brace", "meta.delimiter"],
-      settings: { foreground: "#C0C5CE" },
-    },
-  ],
-};
+  accent: baseHex,
+  secondary: secondaryHex,
+  tertiary: tertiaryHex,
+  type: themeType,
+  contrast,
+  space,
+});
+
+// candidate extension dirs; --out replaces them with a single directory
+const { files, folders: wrote, failed } = installTheme(theme, {
+  type: themeType,
+  targets: outDir ? [path.resolve(outDir)] : installTargets(),
+  readme: `# ${nameArg}\nBase: ${[baseHex, secondaryHex, tertiaryHex]
+    .filter(Boolean)
+    .join(" ")}\nType: ${themeType}\nGenerated locally.\n`,
+  dryRun,
+});
+for (const { target, error } of failed) {
+  console.error("Write failed for", target, error.message);
+}
 
-// candidate extension dirs
-const home = os.homedir();
-const targets = [
-  path.join(home, ".vscode", "extensions"),
-  path.join(home, ".vscode-insiders", "extensions"),
-  path.join(home, ".vscode-oss", "extensions"),
-  path.join(home, ".cursor", "extensions"),
-].filter((p) => fs.existsSync(path.dirname(p))); // keep plausible roots
-
-const wrote = [];
-for (const base of targets) {
-  try {
-    fs.mkdirSync(base, { recursive: true });
-    const folder = path.join(base, `local.${slug}-${nowVer}`);
-    const themesDir = path.join(folder, "themes");
-    fs.mkdirSync(themesDir, { recursive: true });
-
-    const pkg = {
-      name: `local-${slug}`,
-      displayName: nameArg,
-      publisher: "local",
-      version: `0.0.${nowVer}`,
-      engines: { vscode: "^1.60.0" },
-      categories: ["Themes"],
-      contributes: {
-        themes: [
-          { label: nameArg, uiTheme: "vs-dark", path: `./themes/${slug}.json` },
-        ],
-      },
-    };
-
-    fs.writeFileSync(
-      path.join(folder, "package.json"),
-      JSON.stringify(pkg, null, 2)
-    );
-    fs.writeFileSync(
-      path.join(themesDir, `${slug}.json`),
-      JSON.stringify(theme, null, 2)
-    );
-    fs.writeFileSync(
-      path.join(folder, "README.md"),
-      `# ${nameArg}\nBase: ${baseHex}\nGenerated locally.\n`
-    );
-    wrote.push(folder);
-  } catch (e) {
-    console.error("Write failed for", base, e.message);
+if (dryRun) {
+  for (const folder of wrote) {
+    console.log(`Would write ${folder}:`);
+    for (const { path: rel, data } of files) {
+      console.log(`\n--- ${path.join(folder, rel)}\n${data}`);
+    }
   }
+  if (!wrote.length) console.log("No extension targets found.");
+  process.exit(0);
 }
 
+if (!wrote.length && outDir) process.exit(1); // the write failure is reported above
 if (!wrote.length) {
   console.error(
-    "No extension targets writable. Create ~/.vscode/extensions and retry."
+    "No extension targets writable. Create ~/.vscode/extensions, or pick one with --target, and retry."
   );
   process.exit(1);
 }
 
-console.log("✓ Theme installed at:");
-for (const w of wrote) console.log("  ", w);
-console.log(
-  `\nReload VS Code (⌘⇧P → Developer: Reload Window), then choose **${nameArg}** in Color Theme.`
-);
+if (outDir) {
+  for (const w of wrote) console.log(`✓ Wrote ${w}`);
+} else {
+  console.log("✓ Theme installed at:");
+  for (const w of wrote) console.log("  ", w);
+  console.log(
+    `\nReload VS Code (⌘⇧P → Developer: Reload Window), then choose **${nameArg}** in Color Theme.`
+  );
+}
 
 // ```
 // #!/usr/bin/env node
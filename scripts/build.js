@@ -1,11 +1,33 @@
 #!/usr/bin/env node
 import fs from 'fs';
 import path from 'path';
+import { normalizeHex } from '../lib/color.js';
+import { targetRatio } from '../lib/contrast.js';
+import { coverage } from '../lib/registry.js';
+import { loadSpec } from '../lib/spec.js';
+import { SHADING, THEME_TYPES, buildTheme, slugify } from '../lib/theme.js';
+import { sublimeColorScheme, tmTheme } from '../lib/sublime.js';
+import { jetbrainsColorScheme, jetbrainsUiTheme } from '../lib/jetbrains.js';
+import { neovimColorscheme, vimColorscheme } from '../lib/vim.js';
+import { swatchCard } from '../lib/swatch.js';
+import { cssProperties, scssMap, tailwindColors } from '../lib/web.js';
+import { alacrittyTheme, itermColors, kittyTheme, weztermTheme, windowsTerminalScheme } from '../lib/terminal.js';
 
-// Deterministic VS Code theme build to themes/<slug>.json
-// - Stable key order: name, type, semanticHighlighting, colors, tokenColors
+// Deterministic VS Code theme build: every spec in specs/ (lib/spec.js) to themes/<slug>.json
+// and its swatch card themes/<slug>.svg (lib/swatch.js),
+// plus contributes.themes in the root package.json; --check covers both
+// - --spec <file> (or THEME_SPEC) builds one spec and leaves package.json alone
+// - Flags and env vars below override the matching spec field; they need --spec, since
+//   one name or seed applied to every spec would collide
+// - Stable key order: name, type, semanticHighlighting, colors, tokenColors, semanticTokenColors
 // - Colors normalized to lowercase hex; 6-digit when opaque, 8-digit preserves alpha
-// - tokenColors sorted by name, then scope length, then settings.foreground
+// - tokenColors sorted by name, then scope length, then settings.foreground; semantic rules by selector
+// - --primary/--secondary/--tertiary (or BASE_HEX/SECONDARY_HEX/TERTIARY_HEX) seed the palette
+// - --type dark|light|hc-black|hc-light (or THEME_TYPE) picks the palette variant
+// - --contrast AA|AAA|<ratio> (or THEME_CONTRAST) overrides the type's WCAG target
+// - --space hsl|oklch (or THEME_SPACE) picks the shading space for derived roles
+// - Reports how much of the workbench color registry (lib/registry.js) the theme covers
+// - Ports of each theme to other editors and tools go to extras/<tool>/ and are covered by --check
 
 const args = process.argv.slice(2);
 const CHECK_MODE = args.includes('--check');
@@ -15,217 +37,143 @@ function die(msg) {
   process.exit(1);
 }
 
-// Simple, deterministic input: base accent and theme name from env or defaults
-const THEME_NAME = process.env.THEME_NAME || 'Electric Lime';
-const BASE_HEX = normalizeHex(process.env.BASE_HEX || '#32cd32');
-
-// Color helpers
-function normalizeHex(hex) {
-  if (!hex) return '#000000';
-  let h = hex.trim().toLowerCase();
-  if (!h.startsWith('#')) h = '#' + h;
-  if (/^#([0-9a-f]{3})$/.test(h)) {
-    // expand #abc => #aabbcc
-    const [, a, b, c] = h.match(/^#(.)(.)(.)$/);
-    h = `#${a}${a}${b}${b}${c}${c}`;
-  }
-  if (!/^#([0-9a-f]{6}|[0-9a-f]{8})$/.test(h)) return '#000000';
-  return h;
-}
-function hexToRgb(hex) {
-  const h = normalizeHex(hex).slice(1);
-  const r = parseInt(h.slice(0, 2), 16);
-  const g = parseInt(h.slice(2, 4), 16);
-  const b = parseInt(h.slice(4, 6), 16);
-  const a = h.length === 8 ? parseInt(h.slice(6, 8), 16) / 255 : 1;
-  return { r, g, b, a };
-}
-function rgbToHex(r, g, b, a = 1) {
-  const c = (n) => Math.max(0, Math.min(255, Math.round(n))).toString(16).padStart(2, '0');
-  const base = `#${c(r)}${c(g)}${c(b)}`;
-  if (a >= 1) return base;
-  const aa = c(a * 255);
-  return `${base}${aa}`;
-}
-function rgbToHsl({ r, g, b }) {
-  r /= 255; g /= 255; b /= 255;
-  const max = Math.max(r, g, b), min = Math.min(r, g, b);
-  let h, s; const l = (max + min) / 2;
-  if (max === min) { h = s = 0; }
-  else {
-    const d = max - min;
-    s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
-    switch (max) {
-      case r: h = (g - b) / d + (g < b ? 6 : 0); break;
-      case g: h = (b - r) / d + 2; break;
-      default: h = (r - g) / d + 4; break;
-    }
-    h /= 6;
-  }
-  return { h: h * 360, s, l };
-}
-function hslToRgb({ h, s, l }) {
-  h /= 360;
-  let r, g, b;
-  if (s === 0) { r = g = b = l; }
-  else {
-    const hue2rgb = (p, q, t) => {
-      if (t < 0) t += 1;
-      if (t > 1) t -= 1;
-      if (t < 1/6) return p + (q - p) * 6 * t;
-      if (t < 1/2) return q;
-      if (t < 2/3) return p + (q - p) * (2/3 - t) * 6;
-      return p;
-    };
-    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
-    const p = 2 * l - q;
-    r = hue2rgb(p, q, h + 1/3);
-    g = hue2rgb(p, q, h);
-    b = hue2rgb(p, q, h - 1/3);
-  }
-  return { r: Math.round(r * 255), g: Math.round(g * 255), b: Math.round(b * 255) };
-}
-function shade(hex, dl = 0, ds = 0) {
-  const hsl = rgbToHsl(hexToRgb(hex));
-  const s = Math.max(0, Math.min(1, hsl.s + ds));
-  const l = Math.max(0, Math.min(1, hsl.l + dl));
-  return rgbToHex(...Object.values(hslToRgb({ h: hsl.h, s, l }))).toLowerCase();
-}
-function contrastText(bg) {
-  const { r, g, b } = hexToRgb(bg);
-  const yiq = (r * 299 + g * 587 + b * 114) / 1000;
-  return yiq >= 140 ? '#1a1a1a' : '#f2f2f2';
+// Simple, deterministic input: every spec in specs/, or just --spec with seeds,
+// theme name and type from args/env on top of it
+function argValue(flag) {
+  const i = args.indexOf(flag);
+  return i >= 0 ? args[i + 1] : undefined;
 }
+const SPEC_DIR = path.join(process.cwd(), 'specs');
+const SPEC_FILE = argValue('--spec') || process.env.THEME_SPEC;
+const MANIFEST = path.join(process.cwd(), 'package.json');
 
-// Palette roles (minimal for this repo state)
-const accent = BASE_HEX;
-const accentDim = shade(accent, -0.1, -0.05);
-const accentDark = shade(accent, -0.18, -0.05);
-const accentLight = shade(accent, +0.2, -0.2);
-const bg0 = '#0f1115';
-const bg1 = shade(accent, -0.36, -0.55);
-const bg2 = shade(accent, -0.3, -0.6);
-const fg0 = '#e6e6e6';
-const muted = '#9aa3ad';
+// [flag, env var] pairs that override a spec field (env only for the name)
+const OVERRIDES = [
+  [null, 'THEME_NAME'],
+  ['--type', 'THEME_TYPE'],
+  ['--primary', 'BASE_HEX'],
+  ['--secondary', 'SECONDARY_HEX'],
+  ['--tertiary', 'TERTIARY_HEX'],
+  ['--contrast', 'THEME_CONTRAST'],
+  ['--space', 'THEME_SPACE'],
+];
+const override = (flag, env) => (flag && argValue(flag)) || process.env[env];
 
-// Map to VS Code colors
-function makeTheme() {
-  const colors = {
-    'titleBar.activeBackground': bg2,
-    'titleBar.activeForeground': contrastText(bg2),
-    'titleBar.inactiveBackground': shade(bg2, -0.05),
-    'titleBar.inactiveForeground': contrastText(shade(bg2, -0.05)),
-    'activityBar.background': bg2,
-    'activityBar.foreground': contrastText(bg2),
-    'activityBarBadge.background': accent,
-    'activityBarBadge.foreground': contrastText(accent),
-    'statusBar.background': accentDark,
-    'statusBar.foreground': contrastText(accentDark),
-    'tab.activeBackground': bg0,
-    'tab.activeForeground': fg0,
-    'tab.inactiveBackground': shade(bg0, -0.06),
-    'tab.inactiveForeground': muted,
-    'tab.hoverBackground': shade(bg0, +0.04),
-    'tab.border': shade(bg0, -0.1),
-    'editor.background': bg0,
-    'editor.foreground': fg0,
-    'editorLineNumber.foreground': shade(muted, -0.2),
-    'editorCursor.foreground': accent,
-    'editor.selectionBackground': (shade(accent, +0.1, -0.3) + '80'),
-    'editor.inactiveSelectionBackground': (shade(accent, +0.15, -0.4) + '55'),
-    'editor.lineHighlightBackground': '#00000040',
-    'editor.wordHighlightBackground': '#ffffff10',
-    'editor.wordHighlightStrongBackground': '#ffffff15',
-    'sideBar.background': bg1,
-    'sideBar.foreground': fg0,
-    'sideBarSectionHeader.background': shade(bg1, -0.06),
-    'sideBarSectionHeader.foreground': fg0,
-    'panel.background': bg1,
-    'button.background': accent,
-    'button.foreground': contrastText(accent),
-    'checkbox.border': accentDim,
-    'focusBorder': accentDim,
-    'list.activeSelectionBackground': (shade(accent, -0.05) + '66'),
-    'list.activeSelectionForeground': fg0,
-    'list.hoverBackground': '#ffffff08',
-    'scrollbarSlider.background': '#ffffff20',
-    'scrollbarSlider.hoverBackground': '#ffffff30',
-    'scrollbarSlider.activeBackground': '#ffffff40',
-    'terminal.ansiBlack': '#1c1f26',
-    'terminal.ansiRed': '#ff6b6b',
-    'terminal.ansiGreen': '#6ed796',
-    'terminal.ansiYellow': '#ffd166',
-    'terminal.ansiBlue': accent,
-    'terminal.ansiMagenta': '#c792ea',
-    'terminal.ansiCyan': '#64d6e2',
-    'terminal.ansiWhite': '#d8dee9',
-    'terminal.background': bg0,
-    'terminal.foreground': fg0,
-  };
-
-  const tokenColors = [
-    { name: 'Comment', scope: ['comment', 'punctuation.definition.comment'], settings: { foreground: muted, fontStyle: 'italic' } },
-    { name: 'Keyword', scope: ['keyword', 'storage.type', 'storage.modifier'], settings: { foreground: accent } },
-    { name: 'Function', scope: ['entity.name.function', 'support.function', 'meta.function-call'], settings: { foreground: accentLight } },
-    { name: 'Variable', scope: ['variable', 'meta.definition.variable'], settings: { foreground: '#eaeaea' } },
-    { name: 'String', scope: ['string', 'constant.other.symbol'], settings: { foreground: '#a6e3a1' } },
-    { name: 'Number', scope: ['constant.numeric', 'constant.language', 'support.constant'], settings: { foreground: '#f9e2af' } },
-    { name: 'Type', scope: ['entity.name.type', 'support.type', 'storage.type.class'], settings: { foreground: '#89b4fa' } },
-    { name: 'Punctuation', scope: ['punctuation', 'meta.brace', 'meta.delimiter'], settings: { foreground: '#c0c5ce' } },
-  ].map(rule => ({
-    ...rule,
-    settings: { ...rule.settings, foreground: rule.settings.foreground ? normalizeHex(rule.settings.foreground) : undefined },
-  }));
+function specFiles() {
+  if (SPEC_FILE) return [SPEC_FILE];
+  const used = OVERRIDES.filter(([flag, env]) => override(flag, env)).map(([flag, env]) => (flag && argValue(flag) ? flag : env));
+  if (used.length) die(`${used.join(', ')} would apply to every spec in ${SPEC_DIR}; pass --spec <file> (or THEME_SPEC) to build one theme with it`);
+  if (!fs.existsSync(SPEC_DIR)) die(`No theme specs: ${SPEC_DIR} does not exist`);
+  const files = fs.readdirSync(SPEC_DIR).filter((f) => f.endsWith('.json')).sort();
+  if (!files.length) die(`No theme specs in ${SPEC_DIR}`);
+  return files.map((f) => path.join(SPEC_DIR, f));
+}
 
-  // sort tokenColors: by name, then scope length, then settings.foreground
-  tokenColors.sort((a, b) => {
-    const n = (a.name || '').localeCompare(b.name || '');
-    if (n) return n;
-    const s = (a.scope?.length || 0) - (b.scope?.length || 0);
-    if (s) return s;
-    return ((a.settings?.foreground || '')).localeCompare((b.settings?.foreground || ''));
-  });
+function themeOptions(file) {
+  let spec;
+  try { spec = loadSpec(file); } catch (e) { die(e.message); }
+  const type = override('--type', 'THEME_TYPE') || spec.type;
+  if (!THEME_TYPES[type]) die(`${file}: unknown type ${type}; expected one of: ${Object.keys(THEME_TYPES).join(', ')}`);
+  const space = override('--space', 'THEME_SPACE') || spec.space;
+  if (!SHADING[space]) die(`${file}: unknown space ${space}; expected one of: ${Object.keys(SHADING).join(', ')}`);
+  const contrast = override('--contrast', 'THEME_CONTRAST') || spec.contrast;
+  try { if (contrast) targetRatio(contrast); } catch (e) { die(`${file}: ${e.message}`); }
+  const secondary = override('--secondary', 'SECONDARY_HEX') || spec.seeds.secondary;
+  const tertiary = override('--tertiary', 'TERTIARY_HEX') || spec.seeds.tertiary;
+  return {
+    name: override(null, 'THEME_NAME') || spec.name,
+    accent: normalizeHex(override('--primary', 'BASE_HEX') || spec.seeds.primary),
+    secondary: secondary && normalizeHex(secondary),
+    tertiary: tertiary && normalizeHex(tertiary),
+    type,
+    contrast,
+    space,
+    roles: spec.roles,
+    overrides: spec.overrides,
+  };
+}
 
-  // stable colors object order (alphabetical keys)
-  const sortedColorKeys = Object.keys(colors).sort();
-  const sortedColors = {};
-  for (const k of sortedColorKeys) sortedColors[k] = normalizeHex(colors[k]);
+function stableJson(obj) {
+  return JSON.stringify(obj, null, 2) + '\n';
+}
 
-  // top-level stable order
-  const theme = {
-    name: THEME_NAME,
-    type: 'dark',
-    semanticHighlighting: true,
-    colors: sortedColors,
-    tokenColors,
+// Root package.json doubles as the extension manifest; only the theme fields are generated
+function manifest(entries) {
+  const pkg = JSON.parse(fs.readFileSync(MANIFEST, 'utf8'));
+  return {
+    ...pkg,
+    publisher: pkg.publisher || 'local',
+    engines: { ...pkg.engines, vscode: (pkg.engines && pkg.engines.vscode) || '^1.60.0' },
+    categories: pkg.categories || ['Themes'],
+    contributes: {
+      ...pkg.contributes,
+      themes: entries.map(({ name, type, slug }) => ({
+        label: name,
+        uiTheme: THEME_TYPES[type].uiTheme,
+        path: `./themes/${slug}.json`,
+      })),
+    },
   };
-  return theme;
 }
 
-function writeStableJson(file, obj) {
-  const txt = JSON.stringify(obj, null, 2) + '\n';
-  fs.mkdirSync(path.dirname(file), { recursive: true });
-  fs.writeFileSync(file, txt, 'utf8');
+// Other editors' formats, generated from the finished theme object
+function extras(theme, palette, slug) {
+  const extra = (dir, file, text) => ({ file: path.join(process.cwd(), 'extras', dir, file), text });
+  return [
+    extra('sublime', `${slug}.sublime-color-scheme`, stableJson(sublimeColorScheme(theme))),
+    extra('sublime', `${slug}.tmTheme`, tmTheme(theme)),
+    extra('jetbrains', `${slug}.icls`, jetbrainsColorScheme(theme)),
+    extra('jetbrains', `${slug}.theme.json`, stableJson(jetbrainsUiTheme(theme))),
+    extra('nvim/colors', `${slug}.lua`, neovimColorscheme(theme)),
+    extra('vim/colors', `${slug}.vim`, vimColorscheme(theme)),
+    extra('alacritty', `${slug}.toml`, alacrittyTheme(theme)),
+    extra('kitty', `${slug}.conf`, kittyTheme(theme)),
+    extra('wezterm', `${slug}.lua`, weztermTheme(theme)),
+    extra('windows-terminal', `${slug}.json`, stableJson(windowsTerminalScheme(theme))),
+    extra('iterm2', `${slug}.itermcolors`, itermColors(theme)),
+    extra('web', `${slug}.css`, cssProperties(theme.name, palette)),
+    extra('web', `${slug}.scss`, scssMap(theme.name, palette)),
+    extra('web', `${slug}.tailwind.cjs`, tailwindColors(theme.name, palette)),
+  ];
 }
 
 function build() {
-  const theme = makeTheme();
-  const slug = THEME_NAME.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40) || 'theme';
-  const out = path.join(process.cwd(), 'themes', `${slug}.json`);
-  if (CHECK_MODE && fs.existsSync(out)) {
-    const current = fs.readFileSync(out, 'utf8');
-    const next = JSON.stringify(theme, null, 2) + '\n';
-    if (current !== next) {
-      console.error(`Drift detected in ${out}. Run npm run build to update.`);
+  const outputs = [];
+  const entries = [];
+  const slugs = new Map();
+  for (const file of specFiles()) {
+    const opts = themeOptions(file);
+    let theme, palette;
+    try { ({ theme, palette } = buildTheme(opts)); } catch (e) { die(`${file}: ${e.message}`); }
+    const slug = slugify(opts.name);
+    if (slugs.has(slug)) die(`${file}: slug ${slug} is already used by ${slugs.get(slug)}`);
+    slugs.set(slug, file);
+    const cov = coverage(theme.colors);
+    console.log(`✓ ${slug}: workbench coverage ${cov.percent.toFixed(1)}% (${cov.covered}/${cov.total} keys)`);
+    if (cov.missing.length) console.log(`  missing: ${cov.missing.join(', ')}`);
+    entries.push({ name: opts.name, type: opts.type, slug });
+    outputs.push({ file: path.join(process.cwd(), 'themes', `${slug}.json`), text: stableJson(theme) });
+    outputs.push({ file: path.join(process.cwd(), 'themes', `${slug}.svg`), text: swatchCard(theme, palette) });
+    outputs.push(...extras(theme, palette, slug));
+  }
+  // a single --spec build leaves the family manifest alone
+  if (!SPEC_FILE) outputs.push({ file: MANIFEST, text: stableJson(manifest(entries)) });
+
+  if (CHECK_MODE) {
+    const drifted = outputs.filter(({ file, text }) => !fs.existsSync(file) || fs.readFileSync(file, 'utf8') !== text);
+    if (drifted.length) {
+      for (const { file } of drifted) console.error(`Drift detected in ${file}.`);
+      console.error('Run npm run build to update.');
       process.exit(2);
-    } else {
-      console.log('✓ No drift');
-      return;
     }
+    console.log('✓ No drift');
+    return;
+  }
+  for (const { file, text } of outputs) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, text, 'utf8');
+    console.log(`✓ Wrote ${file}`);
   }
-  writeStableJson(out, theme);
-  console.log(`✓ Wrote ${out}`);
 }
 
 build();
-
@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import path from 'path';
+
+// ESM -> CommonJS for lib/*.js: writes cjs/*.cjs for the package's "require" entry point.
+// Runs as the npm `prepare` script (npm install, npm pack); cjs/ is not committed.
+// Handles only the module syntax lib/ uses:
+// - import x from 'm';                  -> const x = require('m');
+// - import { a, b as c } from './m.js'; -> const { a, b: c } = require('./m.cjs');
+// - export { a, b } from './m.js';      -> required, then exported
+// - export function f / export const X  -> declared, then exported
+// Anything else (export default, import.meta, top-level await) is an error.
+
+function specifier(from) {
+  return from.startsWith('.') ? from.replace(/\.js$/, '.cjs') : from;
+}
+
+function bindings(list) {
+  return list.split(',').map((s) => s.trim()).filter(Boolean).map((s) => {
+    const [imported, local = imported] = s.split(/\s+as\s+/);
+    return { imported, local };
+  });
+}
+
+function toCommonJs(source, file = 'module') {
+  for (const bad of [/\bexport\s+default\b/, /\bimport\.meta\b/, /^\s*export\s+\*/m, /^\s*import\s+\*/m]) {
+    if (bad.test(source)) throw new Error(`${file}: unsupported module syntax ${bad}`);
+  }
+  const exported = [];
+  const declared = new Set();
+  let out = source
+    .replace(/^import\s+(\w+)\s+from\s+'([^']+)';/gm, (_, name, from) => {
+      declared.add(name);
+      return `const ${name} = require('${specifier(from)}');`;
+    })
+    .replace(/^import\s*\{([^}]*)\}\s*from\s+'([^']+)';/gm, (_, list, from) => {
+      const bs = bindings(list);
+      bs.forEach((b) => declared.add(b.local));
+      return `const { ${bs.map((b) => (b.imported === b.local ? b.local : `${b.imported}: ${b.local}`)).join(', ')} } = require('${specifier(from)}');`;
+    })
+    .replace(/^export\s*\{([^}]*)\}\s*from\s+'([^']+)';/gm, (_, list, from) => {
+      const bs = bindings(list);
+      exported.push(...bs.map((b) => b.local));
+      const fresh = bs.filter((b) => !declared.has(b.local));
+      fresh.forEach((b) => declared.add(b.local));
+      if (!fresh.length) return '';
+      return `const { ${fresh.map((b) => (b.imported === b.local ? b.local : `${b.imported}: ${b.local}`)).join(', ')} } = require('${specifier(from)}');`;
+    })
+    .replace(/^export\s+(function|const)\s+(\w+)/gm, (_, kind, name) => {
+      exported.push(name);
+      return `${kind} ${name}`;
+    });
+  if (/^\s*(import|export)\b/m.test(out)) throw new Error(`${file}: unsupported module syntax left after conversion`);
+  out = `'use strict';\n// Generated from lib/${file} by scripts/cjs.js; do not edit.\n\n${out.replace(/\n*$/, '\n')}`;
+  return `${out}\nmodule.exports = { ${[...new Set(exported)].join(', ')} };\n`;
+}
+
+const lib = path.join(process.cwd(), 'lib');
+const out = path.join(process.cwd(), 'cjs');
+fs.rmSync(out, { recursive: true, force: true });
+fs.mkdirSync(out, { recursive: true });
+for (const f of fs.readdirSync(lib).filter((name) => name.endsWith('.js')).sort()) {
+  let text;
+  try {
+    text = toCommonJs(fs.readFileSync(path.join(lib, f), 'utf8'), f);
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+  fs.writeFileSync(path.join(out, f.replace(/\.js$/, '.cjs')), text, 'utf8');
+}
+console.log(`✓ Wrote ${out}`);
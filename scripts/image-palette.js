@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import path from 'path';
+import { decodeImage, extractPalette, suggestAccent } from '../lib/palette.js';
+import { slugify } from '../lib/theme.js';
+
+// Seed palette from a PNG or baseline JPEG, in make-palette's { name, colors } shape
+// - node scripts/image-palette.js <image> [--colors 8] [--name name] [--out palette.json]
+// - Without --out the JSON goes to stdout; the suggested accent always goes to stderr
+
+const args = process.argv.slice(2);
+
+function die(msg) {
+  console.error(msg);
+  process.exit(1);
+}
+
+function takeFlag(flag) {
+  const i = args.indexOf(flag);
+  return i >= 0 ? args.splice(i, 2)[1] : undefined;
+}
+
+const out = takeFlag('--out');
+const count = Number(takeFlag('--colors') || 8);
+const nameArg = takeFlag('--name');
+const [file] = args;
+if (!file) die('Usage: node scripts/image-palette.js <image.png|image.jpg> [--colors 8] [--name name] [--out palette.json]');
+if (!Number.isInteger(count) || count < 1 || count > 64) die('--colors must be a whole number from 1 to 64');
+
+let palette;
+try {
+  palette = extractPalette(decodeImage(fs.readFileSync(file)), { colors: count });
+} catch (e) {
+  die(`${file}: ${e.message}`);
+}
+const name = nameArg || `${slugify(path.basename(file, path.extname(file)))}-palette`;
+const text = JSON.stringify({ name, colors: palette.map(({ hex }) => hex.toUpperCase()) }, null, 2) + '\n';
+if (out) {
+  fs.mkdirSync(path.dirname(path.resolve(out)), { recursive: true });
+  fs.writeFileSync(out, text, 'utf8');
+} else {
+  process.stdout.write(text);
+}
+const accent = suggestAccent(palette).toUpperCase();
+console.error(`✓ ${palette.length} color${palette.length === 1 ? '' : 's'} from ${file}${out ? ` → ${out}` : ''}`);
+console.error(`  Suggested accent: ${accent}`);
+console.error(`  node make-vscode-theme.js "${name.replace(/-palette$/, '')}" "${accent}"`);
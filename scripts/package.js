@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import path from 'path';
+import { packageVsix } from '../lib/vsix.js';
+
+// Packs the root extension (package.json + contributes.themes) into a .vsix
+// - Pure Node: lib/zip.js writes the archive, no vsce needed
+// - --out <file> picks the output; defaults to dist/<name>-<version>.vsix
+// - Run npm run build first; missing theme files are an error, not a skip
+
+const args = process.argv.slice(2);
+
+function die(msg) {
+  console.error(msg);
+  process.exit(1);
+}
+
+function argValue(flag) {
+  const i = args.indexOf(flag);
+  return i >= 0 ? args[i + 1] : undefined;
+}
+
+function pack() {
+  const root = process.cwd();
+  const pkg = JSON.parse(fs.readFileSync(path.join(root, 'package.json'), 'utf8'));
+  const themes = (pkg.contributes && pkg.contributes.themes) || [];
+  if (!themes.length) die('package.json has no contributes.themes. Run npm run build first.');
+  const files = themes.map(({ path: rel }) => {
+    const file = path.join(root, rel);
+    if (!fs.existsSync(file)) die(`Missing ${rel}. Run npm run build first.`);
+    return { path: rel.replace(/^\.\//, ''), data: fs.readFileSync(file) };
+  });
+  let vsix;
+  try { vsix = packageVsix(pkg, files); } catch (e) { die(e.message); }
+  const out = path.resolve(argValue('--out') || path.join('dist', `${pkg.name}-${pkg.version}.vsix`));
+  fs.mkdirSync(path.dirname(out), { recursive: true });
+  fs.writeFileSync(out, vsix);
+  console.log(`✓ Wrote ${out} (${themes.length} theme${themes.length === 1 ? '' : 's'}, ${vsix.length} bytes)`);
+  console.log(`  Install with: code --install-extension ${path.relative(root, out)}`);
+}
+
+pack();
@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import path from 'path';
+import { previewHtml } from '../lib/preview.js';
+import { loadTheme } from '../lib/reaccent.js';
+import { slugify } from '../lib/theme.js';
+
+// Renders a static HTML preview (lib/preview.js) of each theme, for a browser or a PR artifact
+// - node scripts/preview.js [theme.json ...] [--out dir]
+// - Without theme files, previews every theme in package.json contributes.themes
+// - Any VS Code theme file works (JSONC, `include` chains flattened), not only generated ones
+// - Writes <dir>/<slug>.html; --out defaults to dist/preview
+
+const args = process.argv.slice(2);
+
+function die(msg) {
+  console.error(msg);
+  process.exit(1);
+}
+
+function takeFlag(flag) {
+  const i = args.indexOf(flag);
+  return i >= 0 ? args.splice(i, 2)[1] : undefined;
+}
+
+function contributedThemes(root) {
+  const pkg = JSON.parse(fs.readFileSync(path.join(root, 'package.json'), 'utf8'));
+  const themes = (pkg.contributes && pkg.contributes.themes) || [];
+  if (!themes.length) die('package.json has no contributes.themes. Run npm run build first, or pass theme files.');
+  return themes.map(({ path: rel }) => path.join(root, rel));
+}
+
+const outDir = path.resolve(takeFlag('--out') || path.join('dist', 'preview'));
+const files = args.length ? args : contributedThemes(process.cwd());
+fs.mkdirSync(outDir, { recursive: true });
+for (const file of files) {
+  let theme;
+  try { theme = loadTheme(file); } catch (e) { die(e.message); }
+  const out = path.join(outDir, `${slugify(theme.name || path.basename(file, '.json'))}.html`);
+  fs.writeFileSync(out, previewHtml(theme), 'utf8');
+  console.log(`✓ Wrote ${out}`);
+}
@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import path from 'path';
+import { loadTheme, reaccentTheme } from '../lib/reaccent.js';
+
+// Re-accents any VS Code theme file (JSONC, `include` chains flattened) onto a new hex
+// - node scripts/reaccent.js <theme.json> <#RRGGBB> [--out file] [--name "New Name"]
+// - Without --out the theme JSON goes to stdout; the summary always goes to stderr
+
+const args = process.argv.slice(2);
+
+function die(msg) {
+  console.error(msg);
+  process.exit(1);
+}
+
+function takeFlag(flag) {
+  const i = args.indexOf(flag);
+  return i >= 0 ? args.splice(i, 2)[1] : undefined;
+}
+
+const out = takeFlag('--out');
+const name = takeFlag('--name');
+const [file, accent] = args;
+if (!file || !accent) die('Usage: node scripts/reaccent.js <theme.json> <#RRGGBB> [--out file] [--name "New Name"]');
+if (!/^#?[0-9a-f]{6}$/i.test(accent)) die('Please provide a hex like #007BFF or 007BFF');
+
+let result;
+try {
+  result = reaccentTheme(loadTheme(file), accent.startsWith('#') ? accent : `#${accent}`, { name });
+} catch (e) {
+  die(e.message);
+}
+const text = JSON.stringify(result.theme, null, 2) + '\n';
+const { hue, count } = result.from;
+if (out) {
+  fs.mkdirSync(path.dirname(path.resolve(out)), { recursive: true });
+  fs.writeFileSync(out, text, 'utf8');
+} else {
+  process.stdout.write(text);
+}
+console.error(`✓ Accent family around ${hue}° (${count} uses): ${result.changed} colors moved to ${accent}${out ? ` → ${out}` : ''}`);
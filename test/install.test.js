@@ -0,0 +1,45 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { listInstalled, removeInstalled, staleInstalled } from '../lib/install.js';
+
+// Two extension dirs with generated theme folders (and one unrelated extension)
+function fixture() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'install-'));
+  const targets = ['a', 'b'].map((t) => path.join(root, t));
+  const folders = {
+    a: ['local.ocean-202401010000', 'local.ocean-202402010000', 'local.ocean-202403010000', 'local.forest-202401010000', 'someone.other-theme-1.0.0'],
+    b: ['local.ocean-202401010000'],
+  };
+  for (const [t, names] of Object.entries(folders)) {
+    for (const name of names) fs.mkdirSync(path.join(root, t, name), { recursive: true });
+  }
+  return { root, targets };
+}
+
+test('staleInstalled keeps the newest copy per target and slug', () => {
+  const { root, targets } = fixture();
+  try {
+    const stale = staleInstalled(listInstalled(targets));
+    assert.deepEqual(stale.map((e) => `${path.basename(e.target)}/${e.folder}`).sort(), [
+      'a/local.ocean-202401010000',
+      'a/local.ocean-202402010000',
+    ]);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('removeInstalled deletes only the stale folders', () => {
+  const { root, targets } = fixture();
+  try {
+    removeInstalled(staleInstalled(listInstalled(targets)));
+    assert.deepEqual(fs.readdirSync(targets[0]).sort(), ['local.forest-202401010000', 'local.ocean-202403010000', 'someone.other-theme-1.0.0']);
+    assert.deepEqual(fs.readdirSync(targets[1]), ['local.ocean-202401010000']);
+    assert.deepEqual(staleInstalled(listInstalled(targets)), []);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
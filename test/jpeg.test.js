@@ -0,0 +1,105 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeJpeg } from '../lib/jpeg.js';
+
+// A minimal baseline JPEG encoder for flat 8x8 blocks: quantization 1, DC only (every
+// AC coefficient is zero, so each block ends with EOB), one Huffman table pair
+
+// Luminance DC table from the JPEG spec (Annex K.3) and an AC table holding only EOB
+const DC = { counts: [0, 1, 5, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0], symbols: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11] };
+const AC = { counts: [1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0], symbols: [0] };
+
+// symbol -> [code, length]
+function huffmanCodes({ counts, symbols }) {
+  const codes = new Map();
+  let code = 0, k = 0;
+  for (let len = 1; len <= 16; len++) {
+    for (let i = 0; i < counts[len - 1]; i++) codes.set(symbols[k++], [code++, len]);
+    code <<= 1;
+  }
+  return codes;
+}
+
+const segment = (marker, body) => {
+  const head = Buffer.from([0xff, marker, 0, 0]);
+  head.writeUInt16BE(body.length + 2, 2);
+  return Buffer.concat([head, Buffer.from(body)]);
+};
+
+// blocks: [[sample per component]] in MCU order, each sample 0-255 for a flat 8x8 block
+function encodeJpeg(widthBlocks, heightBlocks, components, blocks) {
+  const dcCodes = huffmanCodes(DC), acCodes = huffmanCodes(AC);
+  const bits = [];
+  const put = (value, length) => { for (let i = length - 1; i >= 0; i--) bits.push((value >> i) & 1); };
+  const predictions = new Array(components).fill(0);
+  for (const samples of blocks) {
+    samples.forEach((sample, c) => {
+      const dc = 8 * (sample - 128);
+      const diff = dc - predictions[c];
+      predictions[c] = dc;
+      const size = diff === 0 ? 0 : Math.floor(Math.log2(Math.abs(diff))) + 1;
+      put(...dcCodes.get(size));
+      if (size) put(diff > 0 ? diff : diff + (1 << size) - 1, size);
+      put(...acCodes.get(0));
+    });
+  }
+  while (bits.length % 8) bits.push(1);
+  const scan = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    const byte = parseInt(bits.slice(i, i + 8).join(''), 2);
+    scan.push(byte);
+    if (byte === 0xff) scan.push(0);
+  }
+  const ids = Array.from({ length: components }, (_, c) => c + 1);
+  const table = (classId, { counts, symbols }) => [classId, ...counts, ...symbols];
+  return Buffer.concat([
+    Buffer.from([0xff, 0xd8]),
+    segment(0xdb, [0, ...new Array(64).fill(1)]),
+    segment(0xc0, [8, 0, heightBlocks * 8, 0, widthBlocks * 8, components, ...ids.flatMap((id) => [id, 0x11, 0])]),
+    segment(0xc4, [...table(0x00, DC), ...table(0x10, AC)]),
+    segment(0xda, [components, ...ids.flatMap((id) => [id, 0x00]), 0, 63, 0]),
+    Buffer.from(scan),
+    Buffer.from([0xff, 0xd9]),
+  ]);
+}
+
+// JFIF RGB -> YCbCr, rounded and clamped like an encoder would
+function ycbcr([r, g, b]) {
+  const clamp = (v) => Math.min(255, Math.max(0, Math.round(v)));
+  return [
+    clamp(0.299 * r + 0.587 * g + 0.114 * b),
+    clamp(128 - 0.168736 * r - 0.331264 * g + 0.5 * b),
+    clamp(128 + 0.5 * r - 0.418688 * g - 0.081312 * b),
+  ];
+}
+
+function pixel({ width, data }, x, y) {
+  const i = (y * width + x) * 4;
+  return [...data.subarray(i, i + 4)];
+}
+
+function assertColor(actual, expected, label) {
+  const close = actual.length === 4 && actual[3] === 255 && expected.every((v, i) => Math.abs(actual[i] - v) <= 2);
+  assert.ok(close, `${label}: got ${actual}, expected about ${expected}`);
+}
+
+test('decodeJpeg reads a baseline YCbCr JPEG', () => {
+  const colors = [[255, 0, 0], [32, 96, 192], [250, 250, 250], [16, 160, 64]];
+  const image = decodeJpeg(encodeJpeg(2, 2, 3, colors.map(ycbcr)));
+  assert.equal(image.width, 16);
+  assert.equal(image.height, 16);
+  colors.forEach((rgb, block) => {
+    const [bx, by] = [(block % 2) * 8, Math.floor(block / 2) * 8];
+    for (const [x, y] of [[0, 0], [7, 0], [3, 4], [7, 7]]) assertColor(pixel(image, bx + x, by + y), rgb, `block ${block} at ${x},${y}`);
+  });
+});
+
+test('decodeJpeg reads a grayscale JPEG', () => {
+  const image = decodeJpeg(encodeJpeg(2, 1, 1, [[40], [200]]));
+  assertColor(pixel(image, 2, 2), [40, 40, 40], 'left block');
+  assertColor(pixel(image, 12, 5), [200, 200, 200], 'right block');
+});
+
+test('decodeJpeg rejects other files', () => {
+  assert.throws(() => decodeJpeg(Buffer.from('GIF89a')), /Not a JPEG/);
+});
@@ -0,0 +1,61 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const SCRIPT = path.join(path.dirname(new URL(import.meta.url).pathname), '..', 'make-vscode-theme.js');
+
+// Runs the CLI with a scratch HOME and config dir: { status, stdout, stderr, home }
+function run(args, env = {}) {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'make-theme-'));
+  const result = spawnSync(process.execPath, [SCRIPT, ...args.map((a) => a.replace('$HOME', home))], {
+    encoding: 'utf8',
+    env: { ...process.env, HOME: home, XDG_CONFIG_HOME: path.join(home, '.config'), THEME_TARGETS: '', VSCODE_PORTABLE: '', ...env },
+  });
+  return { ...result, home };
+}
+
+const cleanup = ({ home }) => fs.rmSync(home, { recursive: true, force: true });
+
+test('--out ignores configured targets that are not installed', () => {
+  const result = run(['T', '#336699', '--out', '$HOME/out'], { THEME_TARGETS: 'insiders' });
+  try {
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stdout, /✓ Wrote .*local\.t-\d{12}/);
+    assert.equal(fs.readdirSync(path.join(result.home, 'out')).length, 1);
+  } finally {
+    cleanup(result);
+  }
+});
+
+test('installing into a configured target that is not installed fails by name', () => {
+  const result = run(['T', '#336699'], { THEME_TARGETS: 'insiders' });
+  try {
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /Target not found: insiders/);
+  } finally {
+    cleanup(result);
+  }
+});
+
+test('a theme named like a subcommand is made when a hex color follows', () => {
+  const result = run(['list', '#336699', '--out', '$HOME/out']);
+  try {
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(fs.readdirSync(path.join(result.home, 'out'))[0], /^local\.list-\d{12}$/);
+  } finally {
+    cleanup(result);
+  }
+});
+
+test('list without a color still lists installed themes', () => {
+  const result = run(['list', '--target', '$HOME/ext']);
+  try {
+    assert.equal(result.status, 0, result.stderr);
+    assert.equal(result.stdout.trim(), 'No generated themes installed.');
+  } finally {
+    cleanup(result);
+  }
+});
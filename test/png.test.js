@@ -0,0 +1,74 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import { decodePng } from '../lib/png.js';
+import { crc32 } from '../lib/zip.js';
+
+// A small 8-bit RGB PNG whose row y is written with filter type y (0 None, 1 Sub,
+// 2 Up, 3 Average, 4 Paeth), so decoding it runs every unfilter branch
+
+const WIDTH = 3, HEIGHT = 5, BPP = 3;
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+  return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+}
+
+function chunk(type, body) {
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(body.length, 0);
+  head.write(type, 4, 'latin1');
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([head.subarray(4), body])));
+  return Buffer.concat([head, body, crc]);
+}
+
+function encodePng(rows) {
+  const rowBytes = WIDTH * BPP;
+  const filtered = rows.map((row, y) => {
+    const up = rows[y - 1] || Buffer.alloc(rowBytes);
+    const out = Buffer.alloc(rowBytes + 1);
+    out[0] = y;
+    for (let x = 0; x < rowBytes; x++) {
+      const a = x >= BPP ? row[x - BPP] : 0;
+      const b = up[x];
+      const c = x >= BPP ? up[x - BPP] : 0;
+      const predict = [0, a, b, (a + b) >> 1, paeth(a, b, c)][y];
+      out[x + 1] = (row[x] - predict) & 0xff;
+    }
+    return out;
+  });
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(WIDTH, 0);
+  ihdr.writeUInt32BE(HEIGHT, 4);
+  ihdr.set([8, 2, 0, 0, 0], 8); // depth 8, truecolor, no interlace
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', ihdr),
+    chunk('IDAT', zlib.deflateSync(Buffer.concat(filtered))),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+test('decodePng undoes filter types 0-4', () => {
+  const rows = [];
+  for (let y = 0; y < HEIGHT; y++) {
+    const row = Buffer.alloc(WIDTH * BPP);
+    for (let x = 0; x < WIDTH; x++) row.set([(x * 97 + y * 31) & 0xff, (x * 13 + y * 71 + 200) & 0xff, (y * 53 - x * 29) & 0xff], x * BPP);
+    rows.push(row);
+  }
+  const { width, height, data } = decodePng(encodePng(rows));
+  assert.equal(width, WIDTH);
+  assert.equal(height, HEIGHT);
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      const i = (y * WIDTH + x) * 4;
+      assert.deepEqual([...data.subarray(i, i + 4)], [...rows[y].subarray(x * BPP, x * BPP + BPP), 255], `pixel ${x},${y}`);
+    }
+  }
+});
+
+test('decodePng rejects other files', () => {
+  assert.throws(() => decodePng(Buffer.from('GIF89a')), /Not a PNG/);
+});
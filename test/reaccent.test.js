@@ -0,0 +1,97 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { hexToRgb, rgbToHsl } from '../lib/color.js';
+import { luminance } from '../lib/contrast.js';
+import { hueDistance } from '../lib/syntax.js';
+import { dominantHue, loadTheme, parseJsonc, reaccentTheme } from '../lib/reaccent.js';
+
+test('parseJsonc drops comments and trailing commas', () => {
+  const text = `{
+    // line comment
+    "colors": { "a": "#fff", /* block */ },
+    "list": [1, 2, // last
+    ],
+  }`;
+  assert.deepEqual(parseJsonc(text), { colors: { a: '#fff' }, list: [1, 2] });
+});
+
+test('parseJsonc leaves strings alone', () => {
+  assert.deepEqual(parseJsonc('{"name": "a, }"}'), { name: 'a, }' });
+  assert.deepEqual(parseJsonc('{"url": "http://x/*y*/", "q": "\\\\", "e": "\\",]"}'), { url: 'http://x/*y*/', q: '\\', e: '",]' });
+});
+
+test('parseJsonc names the file in errors', () => {
+  assert.throws(() => parseJsonc('{"a": }', 'theme.json'), /^Error: theme.json: /);
+});
+
+test('loadTheme flattens include without inventing semanticTokenColors', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reaccent-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'base.json'), '{ "colors": { "a": "#000000", "b": "#111111" }, "tokenColors": [{ "scope": "x" }], }');
+    fs.writeFileSync(path.join(dir, 'child.json'), '{ "include": "./base.json", "colors": { "b": "#222222" }, "tokenColors": [{ "scope": "y" }] }');
+    const theme = loadTheme(path.join(dir, 'child.json'));
+    assert.deepEqual(theme, {
+      colors: { a: '#000000', b: '#222222' },
+      tokenColors: [{ scope: 'x' }, { scope: 'y' }],
+    });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+// A green-accented theme with one unrelated hue, greys and a translucent accent
+const GREEN = {
+  name: 'Green',
+  colors: {
+    'editor.background': '#1e1e1e',
+    'editor.foreground': '#d4d4d4',
+    'button.background': '#2e9e3e',
+    'focusBorder': '#3fbf55',
+    'textLink.foreground': '#5ccf6f',
+    'list.activeSelectionBackground': '#32cd3266',
+    'editorError.foreground': '#d84a4a',
+  },
+  tokenColors: [{ scope: 'keyword', settings: { foreground: '#4cc25a', fontStyle: 'bold' } }],
+  semanticTokenColors: { function: '#36b14a' },
+};
+const hsl = (hex) => rgbToHsl(hexToRgb(hex));
+const signedOffset = (h, from) => ((h - from + 540) % 360) - 180;
+
+test('dominantHue finds the accent family', () => {
+  const { hue, count } = dominantHue(GREEN);
+  assert.ok(hueDistance(hue, 128) <= 10, `hue ${hue}`);
+  assert.equal(count, 6);
+  assert.equal(dominantHue({ colors: { a: '#1e1e1e', b: '#808080' } }), null);
+});
+
+test('reaccentTheme moves the accent family to the new hue, keeping luminance and alpha', () => {
+  const from = dominantHue(GREEN);
+  const to = hsl('#3366ff').h;
+  const { theme, changed } = reaccentTheme(GREEN, '#3366ff', { name: 'Blue' });
+  assert.equal(theme.name, 'Blue');
+  assert.equal(changed, 6);
+  const pairs = [
+    ...['button.background', 'focusBorder', 'textLink.foreground', 'list.activeSelectionBackground'].map((k) => [GREEN.colors[k], theme.colors[k]]),
+    [GREEN.tokenColors[0].settings.foreground, theme.tokenColors[0].settings.foreground],
+    [GREEN.semanticTokenColors.function, theme.semanticTokenColors.function],
+  ];
+  for (const [before, after] of pairs) {
+    const offset = signedOffset(hsl(before).h, from.hue);
+    assert.ok(hueDistance(hsl(after).h, to + offset) <= 3, `${before} -> ${after}: hue ${hsl(after).h}, expected ${to + offset}`);
+    assert.ok(Math.abs(luminance(after) - luminance(before)) <= 0.01, `${before} -> ${after}: luminance`);
+    assert.equal(after.length, before.length, `${before} -> ${after}: alpha`);
+    assert.equal(after.slice(7), before.slice(7));
+  }
+  assert.equal(theme.tokenColors[0].settings.fontStyle, 'bold');
+});
+
+test('reaccentTheme leaves greys and other hues alone', () => {
+  const { theme } = reaccentTheme(GREEN, '#3366ff');
+  for (const key of ['editor.background', 'editor.foreground', 'editorError.foreground']) {
+    assert.equal(theme.colors[key], GREEN.colors[key], key);
+  }
+  assert.throws(() => reaccentTheme({ colors: { a: '#808080' } }, '#3366ff'), /No accent found/);
+});
@@ -0,0 +1,25 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { hexToOklch } from '../lib/oklch.js';
+import { applyRoles, parseSpec } from '../lib/spec.js';
+import { SHADING } from '../lib/theme.js';
+
+const spec = (roles) => ({ version: 1, name: 'T', seeds: { primary: '#32cd32' }, roles });
+
+test('parseSpec checks op arguments', () => {
+  assert.doesNotThrow(() => parseSpec(spec({ a: { from: 'accent', shade: -0.1, tone: [0.4, 0.5], spin: 30, alpha: 0.5 } })));
+  assert.doesNotThrow(() => parseSpec(spec({ a: { from: 'accent', shade: [-0.1, 0.2] } })));
+  for (const rule of [{ shade: 'x' }, { shade: [0.1, 'y'] }, { shade: [0.1, 0, 0] }, { tone: 1.5 }, { spin: null }, { spin: [10] }, { alpha: -1 }, { alpha: Infinity }]) {
+    assert.throws(() => parseSpec(spec({ a: { from: 'accent', ...rule } })), /roles\.a\.\w+: expected/, JSON.stringify(rule));
+  }
+});
+
+test('spin follows the shading space', () => {
+  const palette = () => ({ accent: '#3f8fd1' });
+  const oklch = applyRoles(palette(), { accent: { from: 'accent', spin: 120 } }, SHADING.oklch).accent;
+  const [before, after] = [hexToOklch('#3f8fd1'), hexToOklch(oklch)];
+  assert.ok(Math.abs(after.L - before.L) < 0.01, `L ${before.L} -> ${after.L}`);
+  assert.ok(Math.abs(((after.h - before.h + 360) % 360) - 120) < 2, `h ${before.h} -> ${after.h}`);
+  const hsl = applyRoles(palette(), { accent: { from: 'accent', spin: 120 } }, SHADING.hsl).accent;
+  assert.notEqual(hsl, oklch);
+});
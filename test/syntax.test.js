@@ -0,0 +1,27 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { hexToOklch } from '../lib/oklch.js';
+import { MIN_HUE_GAP, hueDistance } from '../lib/syntax.js';
+import { derivePalette } from '../lib/theme.js';
+
+const HUED = ['keyword', 'function', 'string', 'number', 'type'];
+
+test('single-seed syntax roles keep MIN_HUE_GAP from each other', () => {
+  for (const seed of ['#32cd32', '#3366ff', '#e0457b', '#f5a623', '#8a2be2']) {
+    for (const type of ['dark', 'light']) {
+      const { syntax } = derivePalette(seed, type);
+      const hues = HUED.map((role) => [role, hexToOklch(syntax[role]).h]);
+      for (const [i, [a, ha]] of hues.entries()) {
+        for (const [b, hb] of hues.slice(i + 1)) {
+          // 8-bit rounding moves a hue by a degree or two
+          assert.ok(hueDistance(ha, hb) >= MIN_HUE_GAP - 3, `${seed} ${type}: ${a} ${ha.toFixed(1)} vs ${b} ${hb.toFixed(1)}`);
+        }
+      }
+    }
+  }
+});
+
+test('a secondary seed still takes function', () => {
+  const { syntax } = derivePalette({ primary: '#32cd32', secondary: '#ff8800' }, 'dark');
+  assert.ok(hueDistance(hexToOklch(syntax.function).h, hexToOklch('#ff8800').h) < 5);
+});
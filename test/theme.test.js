@@ -0,0 +1,26 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { flatten } from '../lib/color.js';
+import { contrastRatio, targetRatio } from '../lib/contrast.js';
+import { CONTRAST_PAIRS, THEME_TYPES, makeTheme } from '../lib/theme.js';
+
+test('every CONTRAST_PAIRS pair meets the type target as drawn', () => {
+  for (const accent of ['#32cd32', '#3366ff', '#e0457b', '#f5a623', '#808080']) {
+    for (const [type, { contrast }] of Object.entries(THEME_TYPES)) {
+      const { colors: c } = makeTheme({ name: 'T', accent, type });
+      for (const [fgKey, bgKey, surfaceKey = 'editor.background'] of CONTRAST_PAIRS) {
+        const bg = flatten(c[bgKey], flatten(c[surfaceKey], c['editor.background']));
+        const ratio = contrastRatio(flatten(c[fgKey], bg), bg);
+        assert.ok(ratio >= targetRatio(contrast), `${accent} ${type}: ${fgKey} on ${bgKey} is ${ratio.toFixed(2)}:1`);
+      }
+    }
+  }
+});
+
+test('the tab and inlay hint labels of a light theme are readable', () => {
+  const { colors: c } = makeTheme({ name: 'T', accent: '#32cd32', type: 'light' });
+  for (const [fg, bg] of [['tab.unfocusedInactiveForeground', 'tab.unfocusedInactiveBackground'], ['editorInlayHint.foreground', 'editorInlayHint.background'], ['editor.inlineValuesForeground', 'editor.inlineValuesBackground']]) {
+    const under = flatten(c[bg], c['editor.background']);
+    assert.ok(contrastRatio(flatten(c[fg], under), under) >= 4.5, fg);
+  }
+});
@@ -0,0 +1,45 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import { crc32, zip } from '../lib/zip.js';
+
+test('crc32 matches the standard check values', () => {
+  assert.equal(crc32(Buffer.alloc(0)), 0);
+  assert.equal(crc32(Buffer.from('123456789')), 0xcbf43926);
+  assert.equal(crc32(Buffer.from('The quick brown fox jumps over the lazy dog')), 0x414fa339);
+});
+
+// [{ name, method, crc, data }] from the local file headers
+function entries(archive) {
+  const out = [];
+  for (let pos = 0; archive.readUInt32LE(pos) === 0x04034b50;) {
+    const method = archive.readUInt16LE(pos + 8);
+    const size = archive.readUInt32LE(pos + 18);
+    const nameLength = archive.readUInt16LE(pos + 26);
+    const start = pos + 30 + nameLength + archive.readUInt16LE(pos + 28);
+    const body = archive.subarray(start, start + size);
+    out.push({
+      name: archive.toString('utf8', pos + 30, pos + 30 + nameLength),
+      method,
+      crc: archive.readUInt32LE(pos + 14),
+      data: method === 8 ? zlib.inflateRawSync(body) : body,
+    });
+    pos = start + size;
+  }
+  return out;
+}
+
+test('zip stores small entries, deflates large ones, and both read back', () => {
+  const big = 'color '.repeat(200);
+  const archive = zip([{ name: 'a.txt', data: 'ab' }, { name: 'dir/b.txt', data: big }]);
+  const [a, b] = entries(archive);
+  assert.deepEqual([a.name, a.method, a.data.toString()], ['a.txt', 0, 'ab']);
+  assert.deepEqual([b.name, b.method, b.data.toString()], ['dir/b.txt', 8, big]);
+  assert.equal(b.crc, crc32(Buffer.from(big)));
+  assert.equal(archive.readUInt32LE(archive.length - 22), 0x06054b50); // end of central directory
+});
+
+test('zip output is deterministic', () => {
+  const files = [{ name: 'x.json', data: '{}' }];
+  assert.ok(zip(files).equals(zip(files)));
+});